@@ -1,22 +1,206 @@
 // Global state
+let mapRoot = null; // Element the map is mounted into (see mountMap)
+let mapOptions = {}; // Options given to mountMap
+let mapIdPrefix = 'hosq'; // Prefix of the SVG ids this map creates, unique per mount
 let nodes = [];
 let links = [];
+let seriesLinks = [];
+let projects = new Map();
 let simulation = null;
 let svg = null;
 let g = null;
 let nodeElements = null;
 let nodeGroups = null;
 let linkElements = null;
+let seriesLinkElements = null;
+let nodesLayer = null;
+let linksLayer = null;
+let seriesLinksLayer = null;
+let graphVisibleKey = null; // Ids of the nodes currently in the simulation, to skip no-op updates
 let backgroundColumns = null;
-let selectedTypes = new Set();
-let selectedFields = new Set();
+let scheduleScale = null;
+let zoomBehavior = null;
+let minimap = null;
+const selectedTypes = new Set();
+const selectedFields = new Set();
+const selectedSeasons = new Set();
+const excludedTypes = new Set();
+const excludedFields = new Set();
+const excludedSeasons = new Set();
+let fieldMatchMode = 'any'; // 'any' (OR) or 'all' (AND) across selected fields
+let filterDisplayMode = 'dim'; // 'dim' keeps non-matching projects faded, 'hide' removes them
 const fieldFilterElements = new Map();
+const typeFilterElements = new Map();
+const seasonFilterElements = new Map();
 let searchQuery = '';
 let clickedNode = null; // Track clicked node to keep popup visible
-let hoveredNode = null; // Track hovered node for popup updates
+const popupState = { mode: 'closed', node: null }; // Popup is 'closed', 'open' (hover/focus) or 'pinned' (selected project)
+let isRestoringState = false; // Suppress URL updates while applying state from the URL
+let dataIssues = []; // Problems found in the CSV by validateData
+let sourceRows = []; // Raw rows as loaded, kept for the editor's CSV round-trip
+let linkRows = []; // Rows of the optional links CSV (source, target, relation, directed)
+let clipDefs = null;
+let currentView = 'map'; // 'map' or 'list'
+let detailNode = null; // Project shown in the detail panel
+const yearDatasets = new Map(); // Year → { rows, originalRows } when several yearly datasets are loaded
+let currentYear = null;
+let comparisonMode = false; // Mark changes against the previous year
+let pathEndpoints = []; // Projects picked for the path explorer (at most two)
+let pathResult = null; // Shortest paths between the two picked projects
+let graphMetrics = new Map(); // Node id → { degree, betweenness, component, cluster }
+let graphMetricMaxima = {}; // Highest degree and betweenness, for color and size ramps
+let nodeScaleExtent = [1, 1]; // Smallest and largest CSV scale, the range metric sizes map onto
+const analyticsSettings = { colorBy: 'project', sizeBy: 'project', showHulls: false };
+let hullsLayer = null;
+let layoutMode = 'timeline'; // One of LAYOUT_MODES
+let defaultLinkStrength = null; // d3's degree-based link strength, restored when leaving the grid
+let labelTickCount = 0;
+let pinMode = false; // Dragged projects stay where they are dropped
+let nodeDragMoved = false; // Whether the current drag moved the node (a click also ends a drag)
 
-// Schedule order for left-to-right positioning
-const SCHEDULE_ORDER = ['Winter', 'Spring', 'Summer', 'Fall'];
+// Data source; the `data` query parameter overrides it with any CSV/TSV/JSON URL
+// or a Google Sheet link. The bundled CSV is the fallback when a remote source fails.
+const DATA_CONFIG = {
+  source: 'projects_dataset.csv',
+  fallback: 'projects_dataset.csv',
+  // Yearly datasets for the year switcher, e.g. { 2025: 'projects_dataset_2025.csv' };
+  // `?years=2025,2026` fills in yearSource, `?years=2025:<url>,2026:<url>` names each source
+  years: {},
+  yearSource: 'projects_dataset_{year}.csv',
+  // Optional CSV of connections with source, target, relation and directed columns;
+  // the `links` query parameter overrides it
+  links: null
+};
+
+// Relation types for connections like "Ark Festival>feeds" (this project feeds Ark Festival),
+// "Ark Lab<feeds" (Ark Lab feeds this project) or "Etudes Lab~shared artists" (no direction).
+// Relations not listed here get the fallback color and their own text as label.
+const RELATION_TYPES = {
+  feeds: { label: 'Feeds', inverseLabel: 'Fed by', color: '#E673C8' },
+  'prepares for': { label: 'Prepares for', inverseLabel: 'Prepared by', color: '#7BC67E' },
+  'shared artists': { label: 'Shared artists', color: '#F2C14E', dash: '4,3' }
+};
+// Plain connections are drawn in the theme's link color
+const UNTYPED_RELATION = { label: 'Connected to' };
+const FALLBACK_RELATION_COLOR = '#A89F98';
+
+// How each project compares with the previous year
+const COMPARISON_STATUSES = {
+  new: { label: 'new', color: '#7BC67E' },
+  continuing: { label: 'continuing', color: '#E8DED3' },
+  rescheduled: { label: 'rescheduled', color: '#F2C14E' },
+  discontinued: { label: 'discontinued', color: '#8A8080' }
+};
+
+// Bucket presets for left-to-right positioning
+const TIMELINE_PRESETS = {
+  season: ['Winter', 'Spring', 'Summer', 'Fall'],
+  quarter: ['Q1', 'Q2', 'Q3', 'Q4'],
+  month: ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December']
+};
+
+// Timeline axis configuration; `timeline` and `buckets` query parameters override it
+// granularity: 'auto' (detect from data), 'season', 'quarter', 'month' or 'custom'
+const TIMELINE_CONFIG = {
+  granularity: 'auto',
+  buckets: [],
+  undatedLabel: 'Ongoing / undated'
+};
+
+// Schedule values that mean "no fixed date" rather than a typo
+const ONGOING_VALUES = ['ongoing', 'year-round', 'all year'];
+const UNDATED_VALUES = ['undated', 'tbd', 'tba'];
+
+// Color new editor rows get; rows without a valid color are drawn in the theme's node color
+const DEFAULT_NODE_COLOR = '#E673C8';
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Look and branding. `?theme=light` (or dark, high-contrast) picks a preset; `?theme=<url>` loads a
+// JSON theme file like { "preset": "light", "colors": { "accent": "#0A7E6E" }, "font": { "family": "Inter",
+// "url": "inter.woff2" }, "logo": { "src": "partner.svg", "alt": "Partner" }, "backgroundImage": "bg.jpg" }
+// where every key is optional and "logo": false hides the logo
+const THEME_CONFIG = {
+  preset: 'dark',
+  font: { family: 'Lexend-Medium', url: 'Lexend-Medium.ttf' },
+  logo: { src: 'hosq_logo.png', alt: 'HOSQ Logo' },
+  backgroundImage: null
+};
+
+// Theme colors by preset; a theme file can override any of them
+const THEME_PRESETS = {
+  dark: {
+    background: '#262123', text: '#E8DED3', muted: '#4C4646', link: '#4C4646', type: '#4C4646',
+    accent: '#E673C8', accentText: '#262123', tagBackground: '#E8DED3', tagText: '#262123', node: DEFAULT_NODE_COLOR
+  },
+  light: {
+    background: '#F7F3EE', text: '#262123', muted: '#DDD4CA', link: '#A89F98', type: '#6E6461',
+    accent: '#B8338F', accentText: '#FFFFFF', tagBackground: '#262123', tagText: '#F7F3EE', node: '#B8338F'
+  },
+  'high-contrast': {
+    background: '#000000', text: '#FFFFFF', muted: '#7A7A7A', link: '#C8C8C8', type: '#FFFFFF',
+    accent: '#FFD500', accentText: '#000000', tagBackground: '#FFFFFF', tagText: '#000000', node: '#FFD500'
+  }
+};
+
+// Theme colors and the CSS variables they set
+const THEME_COLOR_VARIABLES = {
+  background: '--bg-color',
+  text: '--text-color',
+  muted: '--muted-color',
+  link: '--link-color',
+  type: '--type-color',
+  accent: '--accent-color',
+  accentText: '--accent-text',
+  tagBackground: '--tag-bg',
+  tagText: '--tag-text',
+  node: '--node-color'
+};
+
+// Active theme, resolved by loadTheme before the map is drawn
+let activeTheme = {
+  preset: THEME_CONFIG.preset,
+  colors: THEME_PRESETS[THEME_CONFIG.preset],
+  font: THEME_CONFIG.font,
+  logo: THEME_CONFIG.logo,
+  backgroundImage: THEME_CONFIG.backgroundImage
+};
+
+// Active timeline axis, built from the config and the data in normalizeData
+let timeline = {
+  granularity: 'season',
+  buckets: TIMELINE_PRESETS.season,
+  hasUndatedLane: false,
+  undatedLabel: TIMELINE_CONFIG.undatedLabel
+};
+
+/**
+ * Find an element of the mounted map by id; looking inside mapRoot keeps the host page's ids out of the way
+ */
+function getMapElement(id) {
+  return mapRoot.querySelector(`#${id}`);
+}
+
+/**
+ * Where the map's keyboard shortcuts listen: the whole page for index.html, only the map when mounted
+ */
+function getKeyboardRoot() {
+  return mapOptions.standalone ? document : mapRoot;
+}
+
+/**
+ * d3 selection of the first element inside the mounted map that matches a selector
+ */
+function selectInMap(selector) {
+  return d3.select(mapRoot).select(selector);
+}
+
+/**
+ * d3 selection of every element inside the mounted map that matches a selector
+ */
+function selectAllInMap(selector) {
+  return d3.select(mapRoot).selectAll(selector);
+}
 
 function escapeHtml(str = '') {
   return String(str)
@@ -27,883 +211,5373 @@ function escapeHtml(str = '') {
     .replace(/'/g, '&#39;');
 }
 
+// URL schemes allowed in links and photos taken from the data; anything else (javascript:, data:) is dropped
+const SAFE_LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+const SAFE_PHOTO_SCHEMES = ['http:', 'https:'];
+
 /**
- * Load and parse CSV data
+ * Resolve a URL from the data, or return '' when it is empty, malformed or uses a scheme not allowed
  */
-async function loadData() {
+function sanitizeUrl(url, schemes = SAFE_LINK_SCHEMES) {
+  const trimmed = String(url || '').trim();
+  if (!trimmed) return '';
   try {
-    const data = await d3.csv('projects_dataset.csv');
-    return normalizeData(data);
+    const parsed = new URL(trimmed, window.location.href);
+    return schemes.includes(parsed.protocol) ? parsed.href : '';
   } catch (error) {
-    console.error('Error loading CSV:', error);
-    return { nodes: [], links: [] };
+    return '';
   }
 }
 
 /**
- * Normalize CSV data into nodes and links
+ * Label of a project's link to its previous edition (the "previous event" column)
  */
-function normalizeData(csvData) {
-  // Create a map of project names to nodes for link creation
-  const projectMap = new Map();
+function getPreviousEventLabel(node) {
+  return `${node.name} in 2025`;
+}
+
+/**
+ * Escape text and turn **bold** into <strong>
+ */
+function renderEmphasis(text) {
+  return escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+}
+
+/**
+ * One line of rich text: escaped, with **bold** and [label](url) links (unsafe links keep only their label)
+ */
+function renderInlineText(text) {
+  // URLs may contain one level of parentheses, as in Wikipedia links
+  const linkPattern = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+  let html = '';
+  let last = 0;
+  let match;
+  while ((match = linkPattern.exec(text)) !== null) {
+    html += renderEmphasis(text.slice(last, match.index));
+    const href = sanitizeUrl(match[2]);
+    html += href
+      ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${renderEmphasis(match[1])}</a>`
+      : renderEmphasis(match[1]);
+    last = linkPattern.lastIndex;
+  }
+  return html + renderEmphasis(text.slice(last));
+}
+
+/**
+ * Render a description from the data as safe HTML: blank lines start a paragraph,
+ * single line breaks are kept, and only **bold** and [label](url) links are formatted
+ */
+function renderRichText(text) {
+  return String(text || '')
+    .trim()
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph => `<p>${paragraph.split(/\r?\n/).map(renderInlineText).join('<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Work out the fetchable URL and format of a data source
+ * Google Sheets edit/publish links are rewritten to their CSV (or TSV) export endpoints
+ */
+function resolveDataSource(source) {
+  const url = new URL(source, window.location.href);
+  const extension = url.pathname.split('.').pop().toLowerCase();
   
-  // Build nodes array
-  nodes = csvData.map(row => {
-    // Parse fields (comma-separated, trim whitespace)
-    const fields = row.fields
-      ? row.fields.split(',').map(f => f.trim()).filter(f => f.length > 0)
-      : [];
-    
-    // Parse schedule (comma-separated, trim whitespace)
-    const schedule = row.schedule
-      ? row.schedule.split(',').map(s => s.trim()).filter(s => s.length > 0)
-      : [];
+  if (url.hostname === 'docs.google.com' && url.pathname.includes('/spreadsheets/')) {
+    const requested = url.searchParams.get('output') || url.searchParams.get('format');
+    const format = requested === 'tsv' ? 'tsv' : 'csv';
+    const gid = url.searchParams.get('gid') || (url.hash.match(/gid=(\d+)/) || [])[1];
     
-    // Parse connected projects (comma-separated, trim, remove empty)
-    const connectedProjects = row['connected projects']
-      ? row['connected projects'].split(',').map(p => p.trim()).filter(p => p.length > 0)
-      : [];
-    
-    // Convert scale to number
-    const scale = parseFloat(row.scale) || 1;
-    
-    // Convert Google Drive link to direct image URL if needed
-    let photoLink = row['photo link'] || '';
-    if (photoLink && photoLink.trim() !== '') {
-      // Convert Google Drive view link to thumbnail URL
-      if (photoLink.includes('drive.google.com') && photoLink.includes('/d/')) {
-        const parts = photoLink.split('/d/');
-        if (parts.length > 1) {
-          const fileId = parts[1].split('/')[0].split('?')[0]; // Get file ID, remove query params
-          photoLink = `https://drive.google.com/thumbnail?id=${fileId}&sz=w1000`;
-        }
-      }
+    if (url.pathname.includes('/d/e/')) {
+      // "Publish to web" link: .../d/e/<id>/pubhtml or .../pub?output=csv
+      url.pathname = url.pathname.replace(/\/(pubhtml|pub)$/, '') + '/pub';
+      url.search = '';
+      url.searchParams.set('output', format);
+    } else {
+      // Regular sheet link (must be shared publicly): .../d/<id>/edit#gid=0
+      url.pathname = url.pathname.replace(/\/(edit|view|export).*$/, '') + '/export';
+      url.search = '';
+      url.searchParams.set('format', format);
     }
-    
-    // Create node object
-    const node = {
-      id: row['project name'],
-      name: row['project name'],
-      type: row.type || '',
-      fields: fields,
-      schedule: schedule,
-      color: row.color || '#E673C8',
-      scale: scale,
-      description: row.description || '',
-      previousEvent: row['previous event'] || '',
-      photoLink: photoLink,
-      connectedProjects: connectedProjects
-    };
-    
-    projectMap.set(node.id, node);
-    return node;
-  });
-  
-  // Build links array
-  links = [];
-  const linkSet = new Set(); // To avoid duplicates
+    if (gid) url.searchParams.set('gid', gid);
+    url.hash = '';
+    return { url: url.href, format: format };
+  }
   
-  nodes.forEach(node => {
-    node.connectedProjects.forEach(connectedName => {
-      const targetNode = projectMap.get(connectedName);
-      if (targetNode && targetNode.id !== node.id) {
-        // Create unique link identifier
-        const linkId = [node.id, targetNode.id].sort().join('|');
-        if (!linkSet.has(linkId)) {
-          linkSet.add(linkId);
-          links.push({
-            source: node.id,
-            target: targetNode.id
-          });
-        }
-      }
-    });
+  const format = ['json', 'tsv'].includes(extension) ? extension : 'csv';
+  return { url: url.href, format: format };
+}
+
+/**
+ * Turn a JSON record into the string-valued row shape d3.csv produces
+ * Arrays (e.g. fields) become comma-separated lists
+ */
+function toCsvRow(record) {
+  const row = {};
+  Object.entries(record).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      row[key] = value.join(', ');
+    } else if (value === null || value === undefined) {
+      row[key] = '';
+    } else {
+      row[key] = String(value);
+    }
   });
+  return row;
+}
+
+/**
+ * Fetch raw rows from a data source; column names are trimmed and lower-cased
+ */
+async function fetchDataRows(source, requiredColumns = ['project name']) {
+  const { url, format } = resolveDataSource(source);
+  let rows;
+  if (format === 'json') {
+    const json = await d3.json(url);
+    const records = Array.isArray(json) ? json : (json && json.projects);
+    if (!Array.isArray(records)) {
+      throw new Error('JSON data must be an array of projects or { "projects": [...] }');
+    }
+    rows = records.map(toCsvRow);
+  } else {
+    rows = format === 'tsv' ? await d3.tsv(url) : await d3.csv(url);
+  }
   
-  return { nodes, links };
+  const columns = (rows.columns || Object.keys(rows[0] || {})).map(key => key.trim().toLowerCase());
+  rows = rows.map(row => Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key.trim().toLowerCase(), value])
+  ));
+  rows.columns = columns;
+  requiredColumns.forEach(column => {
+    if (!rows.some(row => column in row)) {
+      throw new Error(`No "${column}" column in ${url}`);
+    }
+  });
+  return rows;
 }
 
 /**
- * Create X position scale based on schedule
+ * Show a dismissible notice above the map
  */
-function createScheduleScale(width) {
-  return d3.scalePoint()
-    .domain(SCHEDULE_ORDER)
-    .range([width * 0.15, width * 0.85])
-    .padding(0.5);
+function showDataNotice(message) {
+  const notice = getMapElement('data-notice');
+  if (!notice) return;
+  notice.querySelector('.data-notice-message').textContent = message;
+  notice.classList.add('active');
 }
 
 /**
- * Get X position for a node based on its schedule
+ * Load and parse project data from the configured source
+ * Falls back to the bundled CSV (with a visible notice) when a remote source fails
  */
-function getNodeXPosition(node, scheduleScale) {
-  // If node has multiple schedules, use the first one
-  // Or calculate average position
-  if (node.schedule.length === 0) {
-    return scheduleScale.range()[1] / 2; // Default to middle
+async function loadData() {
+  try {
+    let data = null;
+    const years = getYearSources();
+    if (years.length > 0) {
+      data = await loadYearDatasets(years);
+    }
+    if (!data) {
+      data = await loadSourceRows();
+    }
+    sourceRows = data;
+    linkRows = await loadLinkRows();
+    return buildGraphData(data);
+  } catch (error) {
+    console.error('Error loading data:', error);
+    return { nodes: [], links: [], seriesLinks: [] };
   }
-  
-  // Use the first schedule value, or average if multiple
-  const firstSchedule = node.schedule[0];
-  return scheduleScale(firstSchedule) || scheduleScale.range()[1] / 2;
 }
 
 /**
- * Get phone view scale factor (0.8 for phone, 1.0 for desktop)
+ * Load rows from the configured source, falling back to the bundled CSV
  */
-function getPhoneViewScale() {
-  const isPhoneView = window.innerWidth <= 768;
-  return isPhoneView ? 0.8 : 1.0;
+async function loadSourceRows() {
+  const source = getMapOption('data') || DATA_CONFIG.source;
+  try {
+    return await fetchDataRows(source);
+  } catch (error) {
+    if (source === DATA_CONFIG.fallback) throw error;
+    console.error(`Error loading data from ${source}:`, error);
+    showDataNotice(`Could not load the program from ${source}. Showing the bundled copy instead, which may be out of date.`);
+    return fetchDataRows(DATA_CONFIG.fallback);
+  }
 }
 
 /**
- * Calculate node radius based on scale value
- * Uses different formula for phone view (max-width: 768px)
- * Also applies 0.6 scale factor for phone view
+ * Load the optional links CSV; a missing or broken file only drops its connections
  */
-function getNodeRadius(scale) {
-  const isPhoneView = window.innerWidth <= 768;
-  const phoneScale = getPhoneViewScale();
-  let radius;
-  if (isPhoneView) {
-    radius = 10 + scale * 2;
-  } else {
-    radius = 5 + scale * 3.7;
+async function loadLinkRows() {
+  const source = getMapOption('links') || DATA_CONFIG.links;
+  if (!source) return [];
+  try {
+    const rows = await fetchDataRows(source, ['source', 'target']);
+    return rows.filter(row => (row.source || '').trim() && (row.target || '').trim());
+  } catch (error) {
+    console.error(`Error loading connections from ${source}:`, error);
+    showDataNotice(`Could not load the connections from ${source}.`);
+    return [];
   }
-  return radius * phoneScale;
 }
 
 /**
- * Initialize the visualization
+ * Load the theme named or linked by the `theme` option and apply it;
+ * a theme file that fails to load leaves the default look
  */
-function initVisualization(data) {
-  const container = d3.select('.content');
-  const containerNode = container.node();
-  const width = containerNode.clientWidth;
-  const height = containerNode.clientHeight;
-  
-  // Create SVG
-  svg = d3.select('#visualization')
-    .attr('width', width)
-    .attr('height', height)
-    .attr('viewBox', `0 0 ${width} ${height}`);
-  
-  // Create main group for zoom/pan
-  g = svg.append('g');
-  
-  // Create schedule scale
-  const scheduleScale = createScheduleScale(width);
-  
-  // Create force simulation
-  simulation = d3.forceSimulation(data.nodes)
-    .force('link', d3.forceLink(data.links)
-      .id(d => d.id)
-      .distance(100)
-    )
-    .force('charge', d3.forceManyBody().strength(-300))
-    .force('center', d3.forceCenter(width / 2, height / 2))
-    .force('x', d3.forceX(d => getNodeXPosition(d, scheduleScale)).strength(0.5))
-    .force('y', d3.forceY(height / 2).strength(0.1));
-  
-  // Add zoom behavior
-  const zoom = d3.zoom()
-    .scaleExtent([0.3, 4])
-    .on('zoom', (event) => {
-      g.attr('transform', event.transform);
-    });
-  
-  svg.call(zoom);
-  
-  // Create defs for clipPaths
-  const defs = svg.append('defs');
-  
-  // Create background columns for schedule
-  backgroundColumns = g.append('g')
-    .attr('class', 'background-columns');
+async function loadTheme() {
+  const param = getMapOption('theme');
+  let config = {};
+  if (param && THEME_PRESETS[param]) {
+    config = { preset: param };
+  } else if (param) {
+    try {
+      const response = await fetch(param);
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      config = await response.json();
+    } catch (error) {
+      console.error(`Error loading theme from ${param}:`, error);
+      showDataNotice(`Could not load the theme from ${param}. Showing the default look instead.`);
+    }
+  }
+  applyTheme(resolveTheme(config));
+}
+
+/**
+ * Fill in a theme file from THEME_CONFIG and its preset; unusable colors and links are skipped
+ */
+function resolveTheme(config) {
+  const preset = THEME_PRESETS[config.preset] ? config.preset : THEME_CONFIG.preset;
+  const colors = { ...THEME_PRESETS[preset] };
+  Object.entries(config.colors || {}).forEach(([key, value]) => {
+    if (!THEME_COLOR_VARIABLES[key]) {
+      console.warn(`Unknown theme color "${key}"`);
+    } else if (!d3.color(value)) {
+      console.warn(`Invalid theme color ${key} "${value}"`);
+    } else {
+      colors[key] = value;
+    }
+  });
   
-  // Divide the full width into 4 equal columns
-  const columnWidth = width / SCHEDULE_ORDER.length;
+  const font = config.font && config.font.family
+    ? { family: String(config.font.family).replace(/['"]/g, ''), url: sanitizeUrl(config.font.url, SAFE_PHOTO_SCHEMES) || null }
+    : THEME_CONFIG.font;
+  const logo = config.logo === false || config.logo === null
+    ? null
+    : { ...THEME_CONFIG.logo, ...(config.logo || {}) };
+  if (logo) {
+    logo.src = sanitizeUrl(logo.src, SAFE_PHOTO_SCHEMES);
+  }
   
-  // Create 4 columns with separators and labels
-  SCHEDULE_ORDER.forEach((season, i) => {
-    const x = i * columnWidth;
-    const nextX = (i + 1) * columnWidth;
-    const columnCenterX = x + columnWidth / 2;
-    
-    // Create column rectangle (subtle background, optional)
-    backgroundColumns.append('rect')
-      .attr('x', x)
-      .attr('y', 0)
-      .attr('width', columnWidth)
-      .attr('height', height)
-      .attr('fill', 'none')
-      .attr('stroke', 'none');
-    
-    // Add label at the top center of each column
-    const phoneScale = getPhoneViewScale();
-    backgroundColumns.append('text')
-      .attr('x', columnCenterX)
-      .attr('y', 20)
-      .attr('text-anchor', 'middle')
-      .attr('fill', '#4C4646')
-      .attr('font-size', `${14 * phoneScale}px`)
-      .attr('font-family', 'Lexend-Medium')
-      .attr('pointer-events', 'none')
-      .text(season);
-    
-    // Add vertical separator line (except for the last column)
-    if (i < SCHEDULE_ORDER.length - 1) {
-      backgroundColumns.append('line')
-        .attr('x1', nextX)
-        .attr('y1', 0)
-        .attr('x2', nextX)
-        .attr('y2', height)
-        .attr('stroke', '#4C4646')
-        .attr('stroke-width', 1 * phoneScale)
-        .attr('stroke-opacity', 0.3)
-        .attr('pointer-events', 'none');
-    }
+  return {
+    preset: preset,
+    colors: colors,
+    font: font,
+    logo: logo && logo.src ? logo : null,
+    backgroundImage: sanitizeUrl(config.backgroundImage || THEME_CONFIG.backgroundImage, SAFE_PHOTO_SCHEMES) || null
+  };
+}
+
+/**
+ * Apply a resolved theme: CSS variables, font, logo and background
+ */
+function applyTheme(theme) {
+  activeTheme = theme;
+  // A map mounted into another page keeps its variables to itself instead of overriding the page's
+  const root = mapOptions.standalone ? document.documentElement : mapRoot;
+  root.setAttribute('data-theme', theme.preset);
+  Object.entries(THEME_COLOR_VARIABLES).forEach(([key, variable]) => {
+    root.style.setProperty(variable, theme.colors[key]);
   });
+  // Translucent borders and fills are mixed from the text color, and from white or black by background
+  const text = d3.rgb(theme.colors.text);
+  root.style.setProperty('--text-rgb', `${text.r}, ${text.g}, ${text.b}`);
+  root.style.setProperty('--overlay-rgb', d3.lab(theme.colors.background).l > 50 ? '0, 0, 0' : '255, 255, 255');
+  root.style.setProperty('--font-family', `'${theme.font.family}', sans-serif`);
+  root.style.setProperty('--bg-image', theme.backgroundImage ? `url("${theme.backgroundImage}")` : 'none');
   
-  // Draw links
-  linkElements = g.append('g')
-    .attr('class', 'links')
-    .selectAll('line')
-    .data(data.links)
-    .enter()
-    .append('line')
-    .attr('class', 'link')
-    .attr('stroke', '#4C4646')
-    .attr('stroke-width', 1.5);
-  
-  // Create node groups (circle + image)
-  nodeGroups = g.append('g')
-    .attr('class', 'nodes')
-    .selectAll('g')
-    .data(data.nodes)
-    .enter()
-    .append('g')
-    .attr('class', 'node-group')
-    .call(d3.drag()
-      .on('start', dragStarted)
-      .on('drag', dragged)
-      .on('end', dragEnded)
-    )
-    .on('mouseover', handleNodeHover)
-    .on('mouseout', handleNodeMouseOut)
-    .on('click', handleNodeClick);
+  // Fonts other than the bundled one are loaded from the theme file's url
+  if (theme.font !== THEME_CONFIG.font && theme.font.url && window.FontFace) {
+    const face = new FontFace(theme.font.family, `url("${theme.font.url}")`);
+    document.fonts.add(face);
+    face.load().catch(error => console.warn(`Could not load theme font ${theme.font.family}:`, error));
+  }
   
-  // For each node, create a clipPath if it has a photo
-  data.nodes.forEach((node, i) => {
-    if (node.photoLink && node.photoLink.trim() !== '') {
-      const clipId = `node-clip-${i}`;
-      node.clipId = clipId;
+  // Only index.html has a header; a host page's own logo is left alone
+  const logo = mapOptions.standalone ? document.querySelector('.header-logo') : null;
+  if (logo) {
+    logo.hidden = !theme.logo;
+    if (theme.logo) {
+      logo.src = theme.logo.src;
+      logo.alt = theme.logo.alt || '';
+    }
+  }
+}
 
-      const clipPath = defs.append('clipPath')
-        .attr('id', clipId);
+/**
+ * A color of the active theme (background, text, muted, link, accent, node, ...)
+ */
+function getThemeColor(key) {
+  return activeTheme.colors[key];
+}
 
-      clipPath.append('circle')
-        .attr('cx', 0)
-        .attr('cy', 0)
-        .attr('r', getNodeRadius(node.scale));
-    }
+/**
+ * Yearly dataset sources from the `years` option or DATA_CONFIG.years, oldest first
+ */
+function getYearSources() {
+  const param = getMapOption('years');
+  const entries = param
+    ? param.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0).map(entry => {
+      const separator = entry.indexOf(':');
+      const year = separator === -1 ? entry : entry.slice(0, separator).trim();
+      const source = separator === -1
+        ? DATA_CONFIG.yearSource.replace('{year}', year)
+        : entry.slice(separator + 1).trim();
+      return { year: year, source: source };
+    })
+    : Object.entries(DATA_CONFIG.years).map(([year, source]) => ({ year: year, source: source }));
+  return entries.sort((a, b) => a.year.localeCompare(b.year, undefined, { numeric: true }));
+}
+
+/**
+ * Load every yearly dataset and return the rows of the latest one (null if none loaded)
+ */
+async function loadYearDatasets(years) {
+  const results = await Promise.all(years.map(({ year, source }) =>
+    fetchDataRows(source)
+      .then(rows => ({ year: year, rows: rows }))
+      .catch(error => {
+        console.error(`Error loading the ${year} data from ${source}:`, error);
+        return { year: year, rows: null };
+      })
+  ));
+  
+  results.filter(result => result.rows).forEach(({ year, rows }) => {
+    yearDatasets.set(year, { rows: rows, originalRows: null });
   });
+  const failedYears = results.filter(result => !result.rows).map(result => result.year);
+  if (failedYears.length > 0) {
+    showDataNotice(`Could not load the ${failedYears.join(', ')} program.`);
+  }
+  if (yearDatasets.size === 0) return null;
   
-  // Create circles for nodes (background/fill) - no stroke
-  nodeElements = nodeGroups.append('circle')
-    .attr('class', 'node')
-    .attr('r', d => getNodeRadius(d.scale))
-    .attr('fill', d => d.color)
-    .attr('stroke', 'none');
+  currentYear = Array.from(yearDatasets.keys()).pop();
+  return yearDatasets.get(currentYear).rows;
+}
 
-  // Add images inside circles for nodes with photos
-  nodeGroups.filter(d => d.clipId).append('image')
-    .attr('href', d => d.photoLink)
-    .attr('xlink:href', d => d.photoLink)
-    .attr('x', d => -getNodeRadius(d.scale))
-    .attr('y', d => -getNodeRadius(d.scale))
-    .attr('width', d => getNodeRadius(d.scale) * 2)
-    .attr('height', d => getNodeRadius(d.scale) * 2)
-    .attr('preserveAspectRatio', 'xMidYMid slice')
-    .attr('clip-path', d => `url(#${d.clipId})`);
+/**
+ * Normalize and validate rows, then mark changes against the comparison year
+ */
+function buildGraphData(rows) {
+  const comparisonYear = getComparisonYear();
+  let previousProjects = null;
+  if (comparisonYear) {
+    normalizeData(yearDatasets.get(comparisonYear).rows);
+    previousProjects = projects;
+  }
   
-  // Add labels (project names) to all nodes
-  const phoneScale = getPhoneViewScale();
-  const nodeLabels = nodeGroups.append('text')
-    .attr('class', 'node-label')
-    .text(d => d.name)
-    .attr('font-size', 10 * phoneScale)
-    .attr('text-anchor', 'middle')
-    .attr('dy', d => getNodeRadius(d.scale) + 14 * phoneScale) // Position below the circle
-    .attr('fill', '#E8DED3')
-    .attr('pointer-events', 'none')
-    .style('font-family', 'Lexend-Medium');
+  // The current year is normalized last so its timeline and projects stay active
+  const data = normalizeData(rows);
+  dataIssues = validateData(rows, data);
+  if (previousProjects) {
+    addComparison(data, previousProjects, comparisonYear);
+  }
+  return data;
+}
+
+/**
+ * Read the timeline configuration, letting the `timeline` and `buckets` options override TIMELINE_CONFIG
+ */
+function getTimelineConfig() {
+  const config = { ...TIMELINE_CONFIG };
   
-  // Store labels reference for opacity updates
-  window.nodeLabels = nodeLabels;
+  const granularity = getMapOption('timeline');
+  if (granularity) {
+    config.granularity = granularity;
+  }
+  const buckets = getMapOption('buckets');
+  if (buckets) {
+    config.granularity = 'custom';
+    config.buckets = buckets.split(',').map(b => b.trim()).filter(b => b.length > 0);
+  }
+  return config;
+}
+
+/**
+ * Split a comma-separated schedule cell into trimmed values
+ */
+function parseScheduleValues(value) {
+  return value
+    ? value.split(',').map(s => s.trim()).filter(s => s.length > 0)
+    : [];
+}
+
+/**
+ * Split a cell holding several links into trimmed values: one per line, or separated by a comma and
+ * a space before the next link's scheme. Other commas stay, as URLs (w_500,h_300) and link labels use them
+ */
+function parseLinkValues(value) {
+  return value
+    ? value.split(/\n|,\s+(?=[a-z][a-z0-9+.-]*:)/i).map(s => s.trim()).filter(s => s.length > 0)
+    : [];
+}
+
+/**
+ * Convert a Google Drive view link to its thumbnail URL; other links are returned as they are
+ */
+function convertDriveLink(url) {
+  if (url.includes('drive.google.com') && url.includes('/d/')) {
+    const parts = url.split('/d/');
+    if (parts.length > 1) {
+      const fileId = parts[1].split('/')[0].split('?')[0]; // Get file ID, remove query params
+      return `https://drive.google.com/thumbnail?id=${fileId}&sz=w1000`;
+    }
+  }
+  return url;
+}
+
+/**
+ * Parse a "label | url" entry of the links column; without a label the site name is used
+ */
+function parseLabelledLink(entry) {
+  const separator = entry.indexOf('|');
+  const url = (separator >= 0 ? entry.slice(separator + 1) : entry).trim();
+  let label = separator >= 0 ? entry.slice(0, separator).trim() : '';
+  if (!label) {
+    try {
+      label = new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      label = url;
+    }
+  }
+  return { label: label, url: url };
+}
+
+/**
+ * Embeddable player URL for a YouTube or Vimeo link, null for anything else
+ */
+function getVideoEmbedUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^(www|m)\./, '');
+  let videoId = null;
+  if (host === 'youtu.be') {
+    videoId = parsed.pathname.slice(1);
+  } else if (host === 'youtube.com') {
+    videoId = parsed.searchParams.get('v') || (parsed.pathname.match(/^\/(?:embed|shorts)\/([^/]+)/) || [])[1];
+  } else if (host === 'vimeo.com') {
+    const vimeoId = (parsed.pathname.match(/^\/(\d+)/) || [])[1];
+    return vimeoId ? `https://player.vimeo.com/video/${vimeoId}` : null;
+  }
+  return videoId && /^[\w-]+$/.test(videoId) ? `https://www.youtube-nocookie.com/embed/${videoId}` : null;
+}
+
+// Date-only cells are local calendar days; d3.isoParse would read them as UTC midnight,
+// which falls on the previous day (and month) west of UTC
+const parseLocalDate = d3.timeParse('%Y-%m-%d');
+
+/**
+ * Parse a date cell (ISO "2026-03-14" or anything Date understands), null when empty or invalid
+ */
+function parseDateValue(value) {
+  if (!value || value.trim() === '') return null;
+  const trimmed = value.trim();
+  const date = parseLocalDate(trimmed) || d3.isoParse(trimmed) || new Date(trimmed);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Find the bucket a raw schedule value belongs to (case-insensitive, month abbreviations allowed)
+ */
+function matchBucket(value, buckets) {
+  const lower = value.toLowerCase();
+  const match = buckets.find(b => {
+    const bucket = b.toLowerCase();
+    return bucket === lower || (bucket.length > 3 && lower.length >= 3 && bucket.startsWith(lower));
+  });
+  if (match) return match;
+  if (lower === 'autumn' && buckets.includes('Fall')) return 'Fall';
+  return null;
+}
+
+/**
+ * Get the bucket of a date for a preset granularity
+ */
+function getDateBucket(date, granularity) {
+  const month = date.getMonth();
+  if (granularity === 'month') return TIMELINE_PRESETS.month[month];
+  if (granularity === 'quarter') return TIMELINE_PRESETS.quarter[Math.floor(month / 3)];
+  // Meteorological seasons: December belongs to Winter
+  return TIMELINE_PRESETS.season[Math.floor(((month + 1) % 12) / 3)];
+}
+
+/**
+ * Get every bucket a date range touches, stepping month by month (at most a year)
+ */
+function getDateRangeBuckets(startDate, endDate, granularity) {
+  const buckets = new Set();
+  const end = endDate && endDate >= startDate ? endDate : startDate;
+  const cursor = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+  for (let i = 0; i < 12 && cursor <= end; i++) {
+    buckets.add(getDateBucket(cursor, granularity));
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return Array.from(buckets);
+}
+
+/**
+ * Check whether a schedule value marks an ongoing or undated project
+ */
+function getScheduleStatusValue(value) {
+  const lower = value.toLowerCase();
+  if (ONGOING_VALUES.includes(lower)) return 'ongoing';
+  if (UNDATED_VALUES.includes(lower)) return 'undated';
+  return null;
+}
+
+/**
+ * Build the timeline axis from the config and the schedule values in the data
+ * 'auto' picks the best-matching preset, else the values in order of appearance
+ */
+function buildTimeline(csvData, config) {
+  const values = [];
+  csvData.forEach(row => {
+    parseScheduleValues(row.schedule).forEach(value => {
+      if (!getScheduleStatusValue(value) && !values.includes(value)) {
+        values.push(value);
+      }
+    });
+  });
   
-  // Update positions on simulation tick
-  simulation.on('tick', () => {
-    linkElements
-      .attr('x1', d => d.source.x)
-      .attr('y1', d => d.source.y)
-      .attr('x2', d => d.target.x)
-      .attr('y2', d => d.target.y);
+  let granularity = config.granularity;
+  let buckets;
+  if (granularity === 'custom' && config.buckets.length > 0) {
+    buckets = config.buckets;
+  } else if (TIMELINE_PRESETS[granularity]) {
+    buckets = TIMELINE_PRESETS[granularity];
+  } else {
+    // Pick the preset that recognises the most values; leftovers are reported as unknown
+    const matchCounts = Object.keys(TIMELINE_PRESETS).map(preset => ({
+      preset: preset,
+      count: values.filter(value => matchBucket(value, TIMELINE_PRESETS[preset])).length
+    }));
+    const best = matchCounts.reduce((a, b) => (b.count > a.count ? b : a));
+    const hasNoValues = values.length === 0;
+    granularity = best.count > 0 || hasNoValues ? best.preset : 'custom';
+    buckets = granularity === 'custom' ? values : TIMELINE_PRESETS[granularity];
+  }
+  
+  return {
+    granularity: granularity,
+    buckets: buckets,
+    hasUndatedLane: false, // Set once a node lands in the lane
+    undatedLabel: config.undatedLabel
+  };
+}
+
+/**
+ * Resolve a row's schedule into timeline buckets
+ * Dates in `start date`/`end date` win over the `schedule` column when the axis is a preset
+ */
+function parseSchedule(row) {
+  const startDate = parseDateValue(row['start date']);
+  const endDate = parseDateValue(row['end date']);
+  const values = parseScheduleValues(row.schedule);
+  const result = { schedule: [], status: 'dated', unknownValues: [], startDate, endDate };
+  
+  if (startDate && TIMELINE_PRESETS[timeline.granularity]) {
+    result.schedule = getDateRangeBuckets(startDate, endDate, timeline.granularity)
+      .filter(bucket => timeline.buckets.includes(bucket));
+  } else {
+    values.forEach(value => {
+      const status = getScheduleStatusValue(value);
+      const bucket = status ? null : matchBucket(value, timeline.buckets);
+      if (status) {
+        result.status = status;
+      } else if (bucket) {
+        if (!result.schedule.includes(bucket)) result.schedule.push(bucket);
+      } else {
+        result.unknownValues.push(value);
+      }
+    });
+  }
+  
+  result.schedule.sort((a, b) => getBucketIndex(a) - getBucketIndex(b));
+  if (result.schedule.length === 0 && result.status === 'dated') {
+    result.status = result.unknownValues.length > 0 ? 'unknown' : 'undated';
+  }
+  return result;
+}
+
+/**
+ * Get the position of a bucket on the timeline (unknown values sort last)
+ */
+function getBucketIndex(bucket) {
+  const index = timeline.buckets.indexOf(bucket);
+  return index === -1 ? timeline.buckets.length : index;
+}
+
+/**
+ * Get the position of a node's first bucket on the timeline (unscheduled sorts last)
+ */
+function getScheduleIndex(node) {
+  return node.schedule.length > 0 ? getBucketIndex(node.schedule[0]) : timeline.buckets.length;
+}
+
+/**
+ * Get the timeline columns: every bucket plus the undated lane when some node needs it
+ */
+function getTimelineColumns() {
+  return timeline.hasUndatedLane
+    ? [...timeline.buckets, timeline.undatedLabel]
+    : timeline.buckets;
+}
+
+/**
+ * Format a schedule for display: a continuous run as "Spring → Fall", otherwise a list
+ */
+function formatScheduleRun(schedule) {
+  if (!schedule || schedule.length === 0) return '';
+  if (schedule.length === 1) return schedule[0];
+  
+  const indices = schedule.map(getBucketIndex);
+  const isContinuous = indices.every((index, i) =>
+    index < timeline.buckets.length && (i === 0 || index === indices[i - 1] + 1)
+  );
+  return isContinuous
+    ? `${schedule[0]} → ${schedule[schedule.length - 1]}`
+    : schedule.join(', ');
+}
+
+/**
+ * Format a node's schedule for display, including dates and ongoing/undated projects
+ */
+function formatNodeSchedule(node) {
+  if (node.startDate) {
+    const formatDate = d3.timeFormat('%-d %b %Y');
+    const dates = node.endDate && node.endDate > node.startDate
+      ? `${formatDate(node.startDate)} – ${formatDate(node.endDate)}`
+      : formatDate(node.startDate);
+    return node.schedule.length > 0 ? `${formatScheduleRun(node.schedule)} (${dates})` : dates;
+  }
+  if (node.schedule.length > 0) return formatScheduleRun(node.schedule);
+  if (node.scheduleStatus === 'ongoing') return 'Ongoing';
+  return node.unknownSchedule.join(', ');
+}
+
+/**
+ * Build a stable occurrence id from project name and schedule (e.g. "SoundCrit::Spring")
+ */
+function createOccurrenceId(name, schedule, usedIds) {
+  const baseId = `${name}::${schedule.length > 0 ? schedule.join('+') : 'unscheduled'}`;
+  let id = baseId;
+  let suffix = 2;
+  // Two rows with the same name and schedule still need distinct ids
+  while (usedIds.has(id)) {
+    id = `${baseId}#${suffix}`;
+    suffix++;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Pick the occurrence of a project that a connection from `fromNode` should attach to:
+ * the only one, one sharing a season, or the one nearest in the schedule
+ */
+function resolveOccurrence(project, fromNode) {
+  const occurrences = project.occurrences;
+  if (occurrences.length === 1) return occurrences[0];
+  
+  const sameSeason = occurrences.find(o => o.schedule.some(s => fromNode.schedule.includes(s)));
+  if (sameSeason) return sameSeason;
+  
+  const fromIndex = getScheduleIndex(fromNode);
+  return occurrences.reduce((best, o) => {
+    const distance = Math.abs(getScheduleIndex(o) - fromIndex);
+    const bestDistance = Math.abs(getScheduleIndex(best) - fromIndex);
+    return distance < bestDistance ? o : best;
+  });
+}
+
+/**
+ * Parse a connected-projects entry: "Name", "Name>relation" (outgoing),
+ * "Name<relation" (incoming) or "Name~relation" (no direction)
+ */
+function parseConnection(entry) {
+  const match = entry.match(/^(.*?)\s*([<>~])\s*(.*)$/);
+  if (!match) {
+    return { name: entry.trim(), relation: '', direction: 'none' };
+  }
+  const directions = { '>': 'out', '<': 'in', '~': 'none' };
+  return {
+    name: match[1].trim(),
+    relation: match[3].trim().toLowerCase(),
+    direction: directions[match[2]]
+  };
+}
+
+/**
+ * Write a connection back into connected-projects syntax
+ */
+function formatConnection(connection) {
+  if (!connection.relation && connection.direction === 'none') return connection.name;
+  const symbols = { out: '>', in: '<', none: '~' };
+  return `${connection.name}${symbols[connection.direction]}${connection.relation}`;
+}
+
+/**
+ * Label, color and dash pattern of a relation ('' is a plain connection)
+ */
+function getRelationStyle(relation) {
+  if (!relation) return { ...UNTYPED_RELATION, color: getThemeColor('link') };
+  if (RELATION_TYPES[relation]) return RELATION_TYPES[relation];
+  const label = relation.charAt(0).toUpperCase() + relation.slice(1);
+  return { label: label, inverseLabel: `${label} (incoming)`, color: FALLBACK_RELATION_COLOR };
+}
+
+/**
+ * Key that matches a project across years: the optional `id` column, else the name
+ */
+function getProjectKey(row, name) {
+  const id = (row.id || '').trim();
+  return id || name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Normalize CSV data into nodes and links
+ * Each row is one occurrence node; rows sharing a project name form one project entity
+ */
+function normalizeData(csvData) {
+  // Project entities keyed by name, each holding its occurrence nodes
+  projects = new Map();
+  const usedIds = new Set();
+  
+  // Build the timeline axis before resolving schedules against it
+  timeline = buildTimeline(csvData, getTimelineConfig());
+  
+  // Build nodes array (blank spreadsheet rows are skipped)
+  // rowNumber is the spreadsheet row, counting the header as row 1
+  nodes = csvData
+    .map((row, index) => ({ row: row, rowNumber: index + 2 }))
+    .filter(({ row }) => (row['project name'] || '').trim() !== '')
+    .map(({ row, rowNumber }) => {
+    // Parse fields (comma-separated, trim whitespace)
+    const fields = row.fields
+      ? row.fields.split(',').map(f => f.trim()).filter(f => f.length > 0)
+      : [];
+    
+    // Parse schedule into timeline buckets, ordered in time
+    const parsedSchedule = parseSchedule(row);
+    const schedule = parsedSchedule.schedule;
+    if (schedule.length === 0) {
+      timeline.hasUndatedLane = true;
+    }
+    
+    // Parse connected projects (comma-separated, each optionally typed like "Ark Festival>feeds")
+    const connections = parseScheduleValues(row['connected projects']).map(parseConnection);
+    const connectedProjects = connections.map(connection => connection.name);
+    
+    // Convert scale to number
+    const scale = parseFloat(row.scale) || 1;
+    
+    // Photo links (the first one is the node image), with Google Drive links converted to direct image URLs
+    const photoLinks = parseLinkValues(row['photo link']).map(convertDriveLink);
+    const photoLink = photoLinks.length > 0 ? photoLinks[0] : '';
     
-    nodeGroups
-      .attr('transform', d => `translate(${d.x},${d.y})`);
+    // Optional fixed position (x/y columns, fractions of the map size)
+    const savedX = parseFloat(row.x);
+    const savedY = parseFloat(row.y);
+    const savedPosition = Number.isFinite(savedX) && Number.isFinite(savedY) ? { x: savedX, y: savedY } : null;
     
-    // Update popup position if a node is clicked or hovered
-    const nodeToUpdate = clickedNode || hoveredNode;
-    if (nodeToUpdate) {
-      updatePopupPosition(nodeToUpdate);
+    // Create node object
+    const name = row['project name'] || '';
+    const node = {
+      id: createOccurrenceId(name, schedule, usedIds),
+      name: name,
+      type: row.type || '',
+      fields: fields,
+      schedule: schedule,
+      scheduleStatus: parsedSchedule.status,
+      unknownSchedule: parsedSchedule.unknownValues,
+      startDate: parsedSchedule.startDate,
+      endDate: parsedSchedule.endDate,
+      color: HEX_COLOR_PATTERN.test((row.color || '').trim()) ? row.color.trim() : getThemeColor('node'),
+      scale: scale,
+      description: row.description || '',
+      previousEvent: row['previous event'] || '',
+      photoLink: photoLink,
+      photoLinks: photoLinks,
+      videos: parseLinkValues(row.video),
+      links: parseLinkValues(row.links).map(parseLabelledLink),
+      contact: row.contact || '',
+      connectedProjects: connectedProjects,
+      connections: connections,
+      savedPosition: savedPosition,
+      rowNumber: rowNumber,
+      editorId: row.__editorId // Stable row identity while editing
+    };
+    
+    let project = projects.get(name);
+    if (!project) {
+      project = { name: name, key: getProjectKey(row, name), occurrences: [] };
+      projects.set(name, project);
     }
+    project.occurrences.push(node);
+    node.project = project;
+    
+    return node;
   });
   
-  // Handle click on background to close popup
-  svg.on('click', function(event) {
-    // Check if click originated from popup
-    const popup = document.getElementById('popup');
-    if (popup && popup.style.display === 'block') {
-      const path = event.composedPath ? event.composedPath() : (event.path || []);
-      if (path.some(el => el === popup || (el && el.classList && el.classList.contains('popup')))) {
-        return;
+  // Order occurrences in time and connect consecutive ones as a series
+  seriesLinks = [];
+  projects.forEach(project => {
+    project.occurrences.sort((a, b) => getScheduleIndex(a) - getScheduleIndex(b));
+    for (let i = 1; i < project.occurrences.length; i++) {
+      seriesLinks.push({
+        source: project.occurrences[i - 1],
+        target: project.occurrences[i],
+        project: project
+      });
+    }
+  });
+  
+  // Connections from the links CSV apply to every occurrence of their source project
+  linkRows.forEach(linkRow => {
+    const sourceProject = projects.get(linkRow.source.trim());
+    if (!sourceProject) return;
+    const directed = !['no', 'false', '0'].includes((linkRow.directed || '').trim().toLowerCase());
+    sourceProject.occurrences.forEach(node => {
+      node.connections.push({
+        name: linkRow.target.trim(),
+        relation: (linkRow.relation || '').trim().toLowerCase(),
+        direction: directed ? 'out' : 'none'
+      });
+    });
+  });
+  
+  // Build links array, one link per pair and relation (directed links keep their direction)
+  const linkMap = new Map();
+  nodes.forEach(node => {
+    node.connections.forEach(connection => {
+      const targetProject = projects.get(connection.name);
+      const targetNode = targetProject ? resolveOccurrence(targetProject, node) : null;
+      if (!targetNode || targetNode.project === node.project) return;
+      
+      const [source, target] = connection.direction === 'in' ? [targetNode, node] : [node, targetNode];
+      const directed = connection.direction !== 'none';
+      const pairKey = [node.id, targetNode.id].sort().join('|');
+      const linkId = directed ? `${source.id}>${target.id}|${connection.relation}` : `${pairKey}|${connection.relation}`;
+      if (!linkMap.has(linkId)) {
+        linkMap.set(linkId, {
+          source: source,
+          target: target,
+          relation: connection.relation,
+          directed: directed,
+          pairKey: pairKey
+        });
       }
+    });
+  });
+  
+  // A plain connection adds nothing when the pair already has a typed one
+  const typedPairs = new Set(Array.from(linkMap.values()).filter(l => l.relation).map(l => l.pairKey));
+  links = Array.from(linkMap.values()).filter(l => l.relation || !typedPairs.has(l.pairKey));
+  
+  // Typed and directed links curve, and several links between one pair fan out
+  d3.group(links, l => l.pairKey).forEach(pairLinks => {
+    pairLinks.forEach((link, i) => {
+      const side = link.source.id < link.target.id ? 1 : -1;
+      const offset = pairLinks.length > 1 ? i - (pairLinks.length - 1) / 2 : 0;
+      const base = link.relation || link.directed ? 0.15 : 0;
+      link.curve = pairLinks.length > 1 ? offset * 0.3 * side : base;
+    });
+  });
+  
+  return { nodes, links, seriesLinks };
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function getEditDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
     }
-    
-    // Only close if clicking on background (not on a node or popup)
-    if (event.target === svg.node() || event.target === g.node()) {
-      clickedNode = null;
-      hoveredNode = null;
-      hidePopup();
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the project name closest to a misspelled one, ignoring case and extra spaces
+ */
+function suggestProjectName(name, projectNames) {
+  const normalize = value => value.toLowerCase().replace(/\s+/g, ' ').trim();
+  const target = normalize(name);
+  let best = null;
+  let bestDistance = Infinity;
+  projectNames.forEach(candidate => {
+    const distance = getEditDistance(target, normalize(candidate));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
     }
   });
+  // Only suggest names that are plausibly the same project
+  return bestDistance <= Math.max(3, target.length * 0.3) ? best : null;
+}
+
+/**
+ * Check the raw CSV rows and the normalized data for problems normalizeData papers over
+ * Returns issues as { severity, row, project, nodeId, message }
+ */
+function validateData(csvData, data) {
+  const issues = [];
+  const nodeByRow = new Map(data.nodes.map(node => [node.rowNumber, node]));
+  const projectNames = Array.from(projects.keys());
+  const addIssue = (severity, rowNumber, message) => {
+    const node = nodeByRow.get(rowNumber);
+    issues.push({
+      severity: severity,
+      row: rowNumber,
+      project: node ? node.name : '',
+      nodeId: node ? node.id : null,
+      message: message
+    });
+  };
   
-  // Handle clicks/touches outside popup to close it (for mobile and desktop)
-  // Use a single handler that checks the event path more carefully
-  const handleOutsideClick = function(event) {
-    const popup = document.getElementById('popup');
-    if (!popup || popup.style.display !== 'block') return;
-    
-    // Check event path/composedPath first - this is most reliable for mobile
-    const path = event.composedPath ? event.composedPath() : (event.path || []);
+  csvData.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const name = (row['project name'] || '').trim();
+    const hasContent = Object.values(row).some(value => typeof value === 'string' && value.trim() !== '');
+    if (!name) {
+      if (hasContent) addIssue('error', rowNumber, 'Row has content but no project name and is skipped');
+      return;
+    }
+    const node = nodeByRow.get(rowNumber);
     
-    // If any element in the path is the popup or inside it, don't close
-    for (let i = 0; i < path.length; i++) {
-      const el = path[i];
-      if (!el) continue;
-      
-      // Check if it's the popup itself
-      if (el === popup || el.id === 'popup') {
-        return;
-      }
-      
-      // Check if it has popup classes
-      if (el.classList) {
-        if (el.classList.contains('popup') || 
-            el.classList.contains('popup-tag') || 
-            el.classList.contains('popup-button') ||
-            el.classList.contains('popup-name') ||
-            el.classList.contains('popup-type') ||
-            el.classList.contains('popup-description') ||
-            el.classList.contains('popup-tags') ||
-            el.classList.contains('popup-photo')) {
-          return;
+    // Connections that do not match any project name
+    node.connectedProjects.forEach(connectedName => {
+      if (projects.has(connectedName)) {
+        if (connectedName === node.name) {
+          addIssue('warning', rowNumber, `Project lists itself as connected project`);
         }
-      }
-      
-      // Check if it's inside the popup
-      if (el.nodeType === 1 && popup.contains(el)) {
         return;
       }
-    }
-    
-    const target = event.target;
+      const suggestion = suggestProjectName(connectedName, projectNames);
+      addIssue('error', rowNumber, `Unresolved connection "${connectedName}"` +
+        (suggestion ? ` — did you mean "${suggestion}"?` : ''));
+    });
     
-    // Double-check with contains
-    if (popup.contains(target)) {
-      return;
+    // Schedule values outside the timeline, and unusable dates
+    if (node.unknownSchedule.length > 0) {
+      addIssue('error', rowNumber, `Unknown schedule value(s) "${node.unknownSchedule.join(', ')}"; ` +
+        `expected one of ${timeline.buckets.join(', ')}, ongoing or undated`);
     }
-    
-    // Don't close if clicking on a node
-    if (target.closest('.node-group') || 
-        target.classList.contains('node') ||
-        target.closest('circle') ||
-        target.closest('image') ||
-        target.closest('text')) {
-      return;
+    ['start date', 'end date'].forEach(column => {
+      if (row[column] && row[column].trim() !== '' && !parseDateValue(row[column])) {
+        addIssue('error', rowNumber, `Invalid ${column} "${row[column]}"`);
+      }
+    });
+    if (node.startDate && node.endDate && node.endDate < node.startDate) {
+      addIssue('error', rowNumber, 'End date is before start date');
     }
     
-    // Don't close if clicking on buttons
-    if (target.closest('.top-btn') || 
-        target.closest('#filters-popup') ||
-        target.closest('#filters-backdrop')) {
-      return;
+    // Colors and scales that fall back to defaults
+    const color = (row.color || '').trim();
+    if (!color) {
+      addIssue('warning', rowNumber, `Missing color; using ${getThemeColor('node')}`);
+    } else if (!HEX_COLOR_PATTERN.test(color)) {
+      addIssue('error', rowNumber, `Invalid color "${color}"; expected a hex value like #E673C8`);
+    }
+    const scale = (row.scale || '').trim();
+    if (!scale) {
+      addIssue('warning', rowNumber, 'Missing scale; using 1');
+    } else if (!(parseFloat(scale) > 0) || isNaN(Number(scale))) {
+      addIssue('error', rowNumber, `Invalid scale "${scale}"; expected a positive number`);
     }
     
-    // Close popup if clicking outside
-    clickedNode = null;
-    hoveredNode = null;
-    hidePopup();
-  };
+    // Links and photos with a scheme that is not allowed are left out of the popup and detail view
+    [
+      ['previous event', [(row['previous event'] || '').trim()].filter(value => value), SAFE_LINK_SCHEMES],
+      ['photo link', parseLinkValues(row['photo link']), SAFE_PHOTO_SCHEMES],
+      ['video', parseLinkValues(row.video), SAFE_LINK_SCHEMES],
+      ['links', parseLinkValues(row.links).map(entry => parseLabelledLink(entry).url), SAFE_LINK_SCHEMES]
+    ].forEach(([column, values, schemes]) => {
+      values.filter(value => !sanitizeUrl(value, schemes)).forEach(value => {
+        addIssue('warning', rowNumber, `Ignoring ${column} "${value}"; only ${schemes.join(', ')} links are shown`);
+      });
+    });
+    
+    // Positions need both coordinates to pin a project
+    const position = POSITION_COLUMNS.map(column => (row[column] || '').trim());
+    if (position.some(value => value) && position.some(value => !value || isNaN(Number(value)))) {
+      addIssue('warning', rowNumber, `Incomplete position "${position.join(', ')}"; expected numbers in both x and y`);
+    }
+  });
+  
+  // Duplicate rows (same project and schedule) and inconsistent occurrences of one project
+  const seenOccurrences = new Set();
+  data.nodes.forEach(node => {
+    const key = `${node.name}::${node.schedule.join('+')}::${node.scheduleStatus}`;
+    if (seenOccurrences.has(key)) {
+      addIssue('warning', node.rowNumber, `Duplicate row for ${formatNodeSchedule(node) || 'the same schedule'}`);
+    }
+    seenOccurrences.add(key);
+  });
+  projects.forEach(project => {
+    const first = project.occurrences[0];
+    ['type', 'color'].forEach(key => {
+      const values = Array.from(new Set(project.occurrences.map(o => o[key])));
+      if (values.length > 1) {
+        addIssue('warning', first.rowNumber, `Occurrences use different ${key}s: ${values.join(', ')}`);
+      }
+    });
+  });
+  
+  return issues.sort((a, b) => a.row - b.row);
+}
+
+/**
+ * Read a map option from mountMap's options, or from the query string when the map is the whole page
+ * Flags read as '' when set (?editor or { editor: true }) and null when not; lists may be given as arrays
+ */
+function getMapOption(name) {
+  const value = mapOptions[name];
+  if (value === undefined && mapOptions.standalone) {
+    return new URLSearchParams(window.location.search).get(name);
+  }
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return '';
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+/**
+ * Check whether the map is opened in editor mode (?editor)
+ */
+function isEditorMode() {
+  return getMapOption('editor') !== null;
+}
+
+// Controls a host page can show in embed mode with `?embed&controls=filters,fullscreen`
+const EMBED_CONTROLS = {
+  filters: ['#filters-btn'],
+  list: ['#view-toggle-btn'],
+  layout: ['#layout-select'],
+  analysis: ['#analytics-btn'],
+  years: ['#year-select', '#compare-btn'],
+  positions: ['#positions-btn'],
+  export: ['#export-btn'],
+  share: ['#copy-link-btn'],
+  fullscreen: ['#fullscreen-btn'],
+  zoom: ['.zoom-controls'],
+  minimap: ['#minimap'],
+  legend: ['#relation-legend', '#comparison-legend']
+};
+// Controls shown in embed mode when the host page does not list any
+const DEFAULT_EMBED_CONTROLS = ['filters', 'fullscreen', 'zoom'];
+
+/**
+ * Check whether the map is embedded in another page (?embed)
+ */
+function isEmbedMode() {
+  return getMapOption('embed') !== null;
+}
+
+/**
+ * Embed mode: drop the page header and hide every control the host page did not ask for
+ */
+function setupEmbedMode() {
+  if (mapOptions.standalone) {
+    document.body.classList.add('embed');
+  }
+  const param = getMapOption('controls');
+  const shown = param === null
+    ? DEFAULT_EMBED_CONTROLS
+    : param.split(',').map(name => name.trim().toLowerCase()).filter(name => name.length > 0);
+  shown.filter(name => !EMBED_CONTROLS[name]).forEach(name => {
+    console.warn(`Unknown embed control "${name}"; expected one of ${Object.keys(EMBED_CONTROLS).join(', ')}`);
+  });
+  Object.entries(EMBED_CONTROLS).forEach(([name, selectors]) => {
+    if (shown.includes(name)) return;
+    selectors.forEach(selector => {
+      mapRoot.querySelectorAll(selector).forEach(element => element.classList.add('embed-hidden'));
+    });
+  });
+}
+
+/**
+ * Build the data diagnostics panel listing every validation issue
+ */
+function buildDiagnostics() {
+  const diagnosticsBtn = getMapElement('diagnostics-btn');
+  const list = selectInMap('#diagnostics-list');
+  list.selectAll('*').remove();
+  
+  const errorCount = dataIssues.filter(issue => issue.severity === 'error').length;
+  diagnosticsBtn.textContent = `data issues (${dataIssues.length})`;
+  diagnosticsBtn.classList.toggle('has-errors', errorCount > 0);
+  
+  if (dataIssues.length === 0) {
+    list.append('li')
+      .attr('class', 'diagnostics-empty')
+      .text('No problems found in the data.');
+    return;
+  }
+  
+  dataIssues.forEach(issue => {
+    const item = list.append('li')
+      .attr('class', `diagnostics-issue ${issue.severity}`)
+      .on('click', () => {
+        const node = nodes.find(n => n.id === issue.nodeId);
+        if (node) selectNode(node);
+      });
+    item.append('div')
+      .attr('class', 'diagnostics-location')
+      .text(`Row ${issue.row}${issue.project ? ` · ${issue.project}` : ''}`);
+    item.append('div')
+      .attr('class', 'diagnostics-message')
+      .text(issue.message);
+  });
+}
+
+/**
+ * The year compared against in comparison mode: the one before the current year
+ */
+function getComparisonYear() {
+  if (!comparisonMode || !currentYear) return null;
+  const years = Array.from(yearDatasets.keys());
+  const index = years.indexOf(currentYear);
+  return index > 0 ? years[index - 1] : null;
+}
+
+/**
+ * Schedules of all occurrences of a project, order-independent
+ */
+function getProjectScheduleSignature(project) {
+  return project.occurrences
+    .map(o => (o.schedule.length > 0 ? o.schedule.join('+') : o.scheduleStatus))
+    .sort()
+    .join(',');
+}
+
+/**
+ * Mark each project as new, continuing or rescheduled against the previous year's projects,
+ * and add discontinued projects as ghost nodes in their old seasons
+ */
+function addComparison(data, previousProjects, year) {
+  const previousByKey = new Map(Array.from(previousProjects.values()).map(project => [project.key, project]));
+  const formatProjectSchedule = project => project.occurrences
+    .map(o => formatNodeSchedule(o))
+    .filter(schedule => schedule.length > 0)
+    .join(', ');
+  
+  projects.forEach(project => {
+    const previous = previousByKey.get(project.key);
+    let status = 'new';
+    if (previous) {
+      status = getProjectScheduleSignature(previous) === getProjectScheduleSignature(project)
+        ? 'continuing'
+        : 'rescheduled';
+    }
+    project.comparison = {
+      status: status,
+      year: year,
+      previousSchedule: previous ? formatProjectSchedule(previous) : ''
+    };
+    previousByKey.delete(project.key);
+  });
+  
+  // Ghosts are not part of `projects`, so they never resolve connections or diagnostics
+  previousByKey.forEach(previous => {
+    const ghostProject = {
+      name: previous.name,
+      key: previous.key,
+      occurrences: [],
+      comparison: { status: 'discontinued', year: year, previousSchedule: formatProjectSchedule(previous) }
+    };
+    previous.occurrences.forEach(occurrence => {
+      const ghost = {
+        ...occurrence,
+        id: `${year}::${occurrence.id}`,
+        connectedProjects: [],
+        connections: [],
+        editorId: undefined,
+        project: ghostProject,
+        isGhost: true
+      };
+      if (!ghost.schedule.some(bucket => timeline.buckets.includes(bucket))) {
+        timeline.hasUndatedLane = true;
+      }
+      ghostProject.occurrences.push(ghost);
+      data.nodes.push(ghost);
+    });
+    for (let i = 1; i < ghostProject.occurrences.length; i++) {
+      data.seriesLinks.push({
+        source: ghostProject.occurrences[i - 1],
+        target: ghostProject.occurrences[i],
+        project: ghostProject
+      });
+    }
+  });
+}
+
+/**
+ * Short description of a node's change against the comparison year, or '' outside comparison mode
+ */
+function getComparisonLabel(d) {
+  const comparison = d.project.comparison;
+  if (!comparison) return '';
+  switch (comparison.status) {
+    case 'new': return `New since ${comparison.year}`;
+    case 'continuing': return `Continuing from ${comparison.year}`;
+    case 'rescheduled': return `Rescheduled (${comparison.year}: ${comparison.previousSchedule || 'undated'})`;
+    default: return `Discontinued after ${comparison.year}`;
+  }
+}
+
+/**
+ * Show the year switcher when several years are loaded, and the comparison legend with counts
+ */
+function renderYearControls() {
+  const years = Array.from(yearDatasets.keys());
+  const yearSelect = selectInMap('#year-select')
+    .style('display', years.length > 1 ? null : 'none');
+  yearSelect.selectAll('option')
+    .data(years)
+    .join('option')
+    .attr('value', d => d)
+    .text(d => d);
+  yearSelect.property('value', currentYear);
+  
+  const comparisonYear = getComparisonYear();
+  selectInMap('#compare-btn')
+    .style('display', years.length > 1 ? null : 'none')
+    .property('disabled', years.indexOf(currentYear) < 1)
+    .attr('aria-pressed', comparisonMode)
+    .classed('active', comparisonMode);
+  
+  const legend = selectInMap('#comparison-legend')
+    .classed('active', comparisonYear !== null);
+  legend.selectAll('*').remove();
+  if (!comparisonYear) return;
+  
+  const counts = d3.rollup(
+    Array.from(new Set(nodes.map(d => d.project))),
+    group => group.length,
+    project => project.comparison.status
+  );
+  legend.append('span')
+    .attr('class', 'comparison-legend-title')
+    .text(`${currentYear} vs ${comparisonYear}`);
+  Object.entries(COMPARISON_STATUSES).forEach(([status, { label, color }]) => {
+    const item = legend.append('span').attr('class', 'comparison-legend-item');
+    item.append('span')
+      .attr('class', 'comparison-swatch')
+      .style('border-color', color);
+    item.append('span').text(`${label} ${counts.get(status) || 0}`);
+  });
+}
+
+/**
+ * Switch the displayed year and/or comparison mode; nodes glide from their old layout
+ */
+function switchYear(year, compare) {
+  if (!yearDatasets.has(year)) year = currentYear;
+  if (year === currentYear && compare === comparisonMode) return;
+  
+  // Keep edits made to the year being left
+  yearDatasets.get(currentYear).rows = sourceRows;
+  const yearChanged = year !== currentYear;
+  currentYear = year;
+  comparisonMode = compare;
+  if (yearChanged && isEditorMode()) {
+    resetEditorHistory(yearDatasets.get(year).originalRows);
+  }
+  rebuildFromRows(yearDatasets.get(year).rows);
+  if (yearChanged && isEditorMode()) {
+    renderEditorChanges();
+  }
+}
+
+/**
+ * Create X position scale based on schedule
+ */
+function createScheduleScale(width) {
+  return d3.scalePoint()
+    .domain(getTimelineColumns())
+    .range([width * 0.15, width * 0.85])
+    .padding(0.5);
+}
+
+/**
+ * Get the X positions of every known season in a node's schedule
+ */
+function getScheduleXPositions(node, scheduleScale) {
+  return node.schedule
+    .map(season => scheduleScale(season))
+    .filter(x => x !== undefined);
+}
+
+/**
+ * Get X position for a node based on its schedule
+ * Multi-season projects sit at the average of their seasons;
+ * ongoing, undated and unknown schedules go to the dedicated lane
+ */
+function getNodeXPosition(node, scheduleScale) {
+  const positions = getScheduleXPositions(node, scheduleScale);
+  if (positions.length === 0) {
+    return scheduleScale(timeline.undatedLabel);
+  }
+  return d3.mean(positions);
+}
+
+/**
+ * Update the duration bar of multi-season nodes so it spans their first to last season
+ * Coordinates are relative to the node group, which is translated to the node position
+ */
+function updateDurationBars() {
+  if (!nodeGroups || !scheduleScale) return;
+  
+  nodeGroups.select('line.duration-bar')
+    .attr('display', LAYOUT_MODES[layoutMode].columns ? null : 'none')
+    .attr('x1', d => d3.min(getScheduleXPositions(d, scheduleScale)) - d.x)
+    .attr('x2', d => d3.max(getScheduleXPositions(d, scheduleScale)) - d.x);
+}
+
+/**
+ * Get phone view scale factor (0.8 for phone, 1.0 for desktop)
+ */
+function getPhoneViewScale() {
+  const isPhoneView = window.innerWidth <= 768;
+  return isPhoneView ? 0.8 : 1.0;
+}
+
+/**
+ * Calculate node radius based on scale value
+ * Uses different formula for phone view (max-width: 768px)
+ * Also applies 0.6 scale factor for phone view
+ */
+function getNodeRadius(scale) {
+  const isPhoneView = window.innerWidth <= 768;
+  const phoneScale = getPhoneViewScale();
+  let radius;
+  if (isPhoneView) {
+    radius = 10 + scale * 2;
+  } else {
+    radius = 5 + scale * 3.7;
+  }
+  return radius * phoneScale;
+}
+
+/**
+ * Draw one background column per timeline bucket, plus the undated lane if present
+ */
+function drawBackgroundColumns(width, height) {
+  // Divide the full width into equal columns
+  const columns = getTimelineColumns();
+  const columnWidth = width / columns.length;
+  const phoneScale = getPhoneViewScale();
+  
+  // Create columns with separators and labels
+  columns.forEach((column, i) => {
+    const x = i * columnWidth;
+    const nextX = (i + 1) * columnWidth;
+    const columnCenterX = x + columnWidth / 2;
+    const isUndatedLane = timeline.hasUndatedLane && i === columns.length - 1;
+    
+    // Create column rectangle (the undated lane gets a faint tint)
+    backgroundColumns.append('rect')
+      .attr('x', x)
+      .attr('y', 0)
+      .attr('width', columnWidth)
+      .attr('height', height)
+      .attr('fill', isUndatedLane ? getThemeColor('muted') : 'none')
+      .attr('fill-opacity', isUndatedLane ? 0.15 : 0)
+      .attr('stroke', 'none');
+    
+    // Add label at the top center of each column (abbreviated when columns get narrow)
+    const label = columnWidth < 80 && !isUndatedLane ? column.slice(0, 3) : column;
+    backgroundColumns.append('text')
+      .attr('x', columnCenterX)
+      .attr('y', 20)
+      .attr('text-anchor', 'middle')
+      .attr('fill', getThemeColor('muted'))
+      .attr('font-size', `${14 * phoneScale}px`)
+      .attr('font-family', activeTheme.font.family)
+      .attr('pointer-events', 'none')
+      .text(label);
+    
+    // Add vertical separator line (except for the last column)
+    if (i < columns.length - 1) {
+      backgroundColumns.append('line')
+        .attr('x1', nextX)
+        .attr('y1', 0)
+        .attr('x2', nextX)
+        .attr('y2', height)
+        .attr('stroke', getThemeColor('muted'))
+        .attr('stroke-width', 1 * phoneScale)
+        .attr('stroke-opacity', 0.3)
+        .attr('pointer-events', 'none');
+    }
+  });
+}
+
+// Layout modes: label, and whether nodes keep their season column (which the duration bars follow)
+const LAYOUT_MODES = {
+  timeline: { label: 'seasons', columns: true },
+  types: { label: 'season × type', columns: true },
+  fields: { label: 'field clusters', columns: false },
+  radial: { label: 'radial by season', columns: false },
+  grid: { label: 'grid (print)', columns: true }
+};
+
+/**
+ * Current drawing size of the map
+ */
+function getLayoutSize() {
+  return { width: +svg.attr('width'), height: +svg.attr('height') };
+}
+
+/**
+ * Type swim-lanes (season × type layout), top to bottom
+ */
+function getTypeLanes() {
+  return Array.from(new Set(nodes.map(d => d.type || 'other'))).sort((a, b) => a.localeCompare(b));
+}
+
+function createTypeScale(height) {
+  return d3.scalePoint()
+    .domain(getTypeLanes())
+    .range([height * 0.1, height * 0.92])
+    .padding(0.5);
+}
+
+/**
+ * Anchor point of every field, spread on an ellipse around the centre (field clusters layout)
+ */
+function getFieldAnchors(width, height) {
+  const fields = Array.from(new Set(nodes.flatMap(d => d.fields))).sort((a, b) => a.localeCompare(b));
+  return new Map(fields.map((field, i) => {
+    const angle = (i / fields.length) * 2 * Math.PI - Math.PI / 2;
+    return [field, {
+      x: width / 2 + Math.cos(angle) * width * 0.33,
+      y: height / 2 + Math.sin(angle) * height * 0.33
+    }];
+  }));
+}
+
+/**
+ * Target of a node in the field clusters layout: between its field anchors, or the centre without fields
+ */
+function getFieldPosition(d, anchors, width, height) {
+  const points = d.fields.map(field => anchors.get(field)).filter(point => point);
+  return points.length > 0
+    ? { x: d3.mean(points, p => p.x), y: d3.mean(points, p => p.y) }
+    : { x: width / 2, y: height / 2 };
+}
+
+/**
+ * Ring radius per timeline column (radial layout), the undated lane outermost
+ */
+function createRingScale(width, height) {
+  const size = Math.min(width, height);
+  return d3.scalePoint()
+    .domain(getTimelineColumns())
+    .range([size * 0.1, size * 0.45]);
+}
+
+function getRingRadius(d, ringScale) {
+  const radii = d.schedule.map(bucket => ringScale(bucket)).filter(r => r !== undefined);
+  return radii.length > 0 ? d3.mean(radii) : ringScale(timeline.undatedLabel);
+}
+
+/**
+ * Collision-free grid positions for the visible nodes: each stays in its season column,
+ * stacked in rows, with extra sub-columns when a column runs out of height
+ */
+function computeGridPositions(width, height) {
+  const columns = getTimelineColumns();
+  const columnWidth = width / columns.length;
+  const maxRadius = getNodeRadius(d3.max(simulation.nodes(), d => getNodeSize(d)) || 1);
+  const cellHeight = maxRadius * 2 + 28 * getPhoneViewScale(); // Room for the label below
+  const rows = Math.max(1, Math.floor((height - 60) / cellHeight));
+  
+  const positions = new Map();
+  d3.group(simulation.nodes(), d => Math.min(getScheduleIndex(d), columns.length - 1)).forEach((members, columnIndex) => {
+    members.sort((a, b) => a.name.localeCompare(b.name));
+    const subColumns = Math.ceil(members.length / rows);
+    const subColumnWidth = columnWidth / subColumns;
+    members.forEach((d, i) => {
+      positions.set(d.id, {
+        x: columnIndex * columnWidth + (Math.floor(i / rows) + 0.5) * subColumnWidth,
+        y: 50 + (i % rows + 0.5) * cellHeight
+      });
+    });
+  });
+  return positions;
+}
+
+/**
+ * Set the simulation forces for the current layout mode and visible nodes
+ */
+function configureLayoutForces() {
+  const { width, height } = getLayoutSize();
+  const linkForce = simulation.force('link');
+  const xBySeason = d => getNodeXPosition(d, scheduleScale);
+  linkForce.strength(defaultLinkStrength);
+  simulation
+    .force('charge', d3.forceManyBody().strength(-150))
+    .force('collide', d3.forceCollide(d => getNodeRadius(getNodeSize(d)) + 3).strength(0.9))
+    .force('center', null)
+    .force('radial', null);
+  
+  if (layoutMode === 'types') {
+    const typeScale = createTypeScale(height);
+    simulation
+      .force('x', d3.forceX(xBySeason).strength(0.5))
+      .force('y', d3.forceY(d => typeScale(d.type || 'other')).strength(0.5));
+  } else if (layoutMode === 'fields') {
+    const anchors = getFieldAnchors(width, height);
+    simulation
+      .force('x', d3.forceX(d => getFieldPosition(d, anchors, width, height).x).strength(0.3))
+      .force('y', d3.forceY(d => getFieldPosition(d, anchors, width, height).y).strength(0.3));
+  } else if (layoutMode === 'radial') {
+    const ringScale = createRingScale(width, height);
+    simulation
+      .force('x', null)
+      .force('y', null)
+      .force('radial', d3.forceRadial(d => getRingRadius(d, ringScale), width / 2, height / 2).strength(0.8));
+  } else if (layoutMode === 'grid') {
+    // Only the grid targets act, so nodes glide into their cells and stay there
+    const positions = computeGridPositions(width, height);
+    linkForce.strength(0);
+    simulation
+      .force('charge', null)
+      .force('collide', null)
+      .force('x', d3.forceX(d => positions.get(d.id).x).strength(1))
+      .force('y', d3.forceY(d => positions.get(d.id).y).strength(1));
+  } else {
+    simulation
+      .force('charge', d3.forceManyBody().strength(-300))
+      .force('center', d3.forceCenter(width / 2, height / 2))
+      .force('x', d3.forceX(xBySeason).strength(0.5))
+      .force('y', d3.forceY(height / 2).strength(0.1));
+  }
+}
+
+/**
+ * Draw the background of the current layout: season columns, type lanes, field anchors or rings
+ */
+function drawLayoutBackground(width, height) {
+  backgroundColumns.selectAll('*').remove();
+  const phoneScale = getPhoneViewScale();
+  const labelStyle = selection => selection
+    .attr('fill', getThemeColor('muted'))
+    .attr('font-size', `${14 * phoneScale}px`)
+    .attr('font-family', activeTheme.font.family)
+    .attr('pointer-events', 'none');
+  
+  if (LAYOUT_MODES[layoutMode].columns) {
+    drawBackgroundColumns(width, height);
+  }
+  
+  if (layoutMode === 'types') {
+    const typeScale = createTypeScale(height);
+    const laneHeight = typeScale.step();
+    getTypeLanes().forEach((type, i) => {
+      const y = typeScale(type);
+      if (i > 0) {
+        backgroundColumns.append('line')
+          .attr('x1', 0)
+          .attr('y1', y - laneHeight / 2)
+          .attr('x2', width)
+          .attr('y2', y - laneHeight / 2)
+          .attr('stroke', getThemeColor('muted'))
+          .attr('stroke-width', 1 * phoneScale)
+          .attr('stroke-opacity', 0.3)
+          .attr('pointer-events', 'none');
+      }
+      backgroundColumns.append('text')
+        .attr('x', 8)
+        .attr('y', y - laneHeight / 2 + 16 * phoneScale)
+        .call(labelStyle)
+        .text(type);
+    });
+  } else if (layoutMode === 'fields') {
+    getFieldAnchors(width, height).forEach((anchor, field) => {
+      backgroundColumns.append('circle')
+        .attr('cx', anchor.x)
+        .attr('cy', anchor.y)
+        .attr('r', 60)
+        .attr('fill', getThemeColor('muted'))
+        .attr('fill-opacity', 0.12)
+        .attr('pointer-events', 'none');
+      backgroundColumns.append('text')
+        .attr('x', anchor.x)
+        .attr('y', anchor.y - 66)
+        .attr('text-anchor', 'middle')
+        .call(labelStyle)
+        .text(field);
+    });
+  } else if (layoutMode === 'radial') {
+    const ringScale = createRingScale(width, height);
+    getTimelineColumns().forEach(column => {
+      const radius = ringScale(column);
+      backgroundColumns.append('circle')
+        .attr('cx', width / 2)
+        .attr('cy', height / 2)
+        .attr('r', radius)
+        .attr('fill', 'none')
+        .attr('stroke', getThemeColor('muted'))
+        .attr('stroke-width', 1 * phoneScale)
+        .attr('stroke-opacity', 0.3)
+        .attr('pointer-events', 'none');
+      backgroundColumns.append('text')
+        .attr('x', width / 2)
+        .attr('y', height / 2 - radius - 4)
+        .attr('text-anchor', 'middle')
+        .call(labelStyle)
+        .text(column);
+    });
+  }
+}
+
+/**
+ * Recompute scales, background and forces after the size, data or layout mode changed
+ */
+function updateLayout(alpha = 0.3) {
+  const { width, height } = getLayoutSize();
+  scheduleScale = createScheduleScale(width);
+  drawLayoutBackground(width, height);
+  configureLayoutForces();
+  updateDurationBars();
+  simulation.alpha(alpha).restart();
+}
+
+/**
+ * Switch the layout mode; the simulation carries nodes over to their new places
+ */
+function setLayoutMode(mode) {
+  if (!LAYOUT_MODES[mode] || mode === layoutMode) return;
+  layoutMode = mode;
+  selectInMap('#layout-select').property('value', mode);
+  updateLayout(0.8);
+}
+
+// Seed for the simulation's random jiggle, so the same data always settles into the same map
+const LAYOUT_SEED = 0.2026;
+// Version of the saved layout file format
+const LAYOUT_FILE_VERSION = 1;
+// Optional CSV columns pinning a project, as fractions of the map width and height
+const POSITION_COLUMNS = ['x', 'y'];
+
+/**
+ * Deterministic number in [0, 1) for a string (FNV-1a hash)
+ */
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Give nodes without a position a starting point in their column, spread by a hash of their id
+ */
+function seedNodePositions(graphNodes, height) {
+  graphNodes.filter(node => node.x === undefined).forEach(node => {
+    node.x = getNodeXPosition(node, scheduleScale);
+    node.y = height / 2 + (hashString(node.id) - 0.5) * height * 0.6;
+  });
+}
+
+/**
+ * Pin or release a node at its current position
+ */
+function setNodePinned(d, pinned) {
+  d.pinned = pinned;
+  // A node being dragged is already held at its drop point, which may be ahead of x/y
+  d.fx = pinned ? (d.fx != null ? d.fx : d.x) : null;
+  d.fy = pinned ? (d.fy != null ? d.fy : d.y) : null;
+  if (nodeGroups) {
+    nodeGroups.filter(n => n === d).classed('pinned', pinned);
+  }
+}
+
+/**
+ * Pin nodes at positions saved as fractions of the map size (CSV x/y columns or a layout file)
+ */
+function applySavedPositions(graphNodes, positions) {
+  const { width, height } = getLayoutSize();
+  let applied = 0;
+  graphNodes.forEach(node => {
+    const position = positions ? positions[node.id] : node.savedPosition;
+    if (!position) return;
+    node.x = position.x * width;
+    node.y = position.y * height;
+    node.vx = 0;
+    node.vy = 0;
+    node.pinned = true;
+    node.fx = node.x;
+    node.fy = node.y;
+    applied++;
+  });
+  return applied;
+}
+
+/**
+ * Run the simulation to rest synchronously, so the first frame already shows the settled map
+ */
+function precomputeLayout() {
+  simulation.stop();
+  const ticks = Math.ceil(Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay()));
+  simulation.alpha(1).tick(ticks);
+  renderPositions();
+  placeLabels();
+}
+
+/**
+ * Release every pinned node and let the layout settle again
+ */
+function unpinAllNodes() {
+  nodes.forEach(node => {
+    node.pinned = false;
+    node.fx = null;
+    node.fy = null;
+  });
+  nodeGroups.classed('pinned', false);
+  simulation.alpha(0.3).restart();
+}
+
+/**
+ * Node positions as fractions of the map size, rounded to keep files small
+ */
+function getNodePositionFractions(node, width, height) {
+  return {
+    x: Math.round(node.x / width * 10000) / 10000,
+    y: Math.round(node.y / height * 10000) / 10000
+  };
+}
+
+/**
+ * Download the current node positions as a layout file
+ */
+function downloadLayout() {
+  const { width, height } = getLayoutSize();
+  const positions = {};
+  nodes.filter(node => !node.isGhost).forEach(node => {
+    positions[node.id] = getNodePositionFractions(node, width, height);
+  });
+  const layout = {
+    version: LAYOUT_FILE_VERSION,
+    year: currentYear,
+    layout: layoutMode,
+    positions: positions
+  };
+  const filename = currentYear ? `program-map-layout-${currentYear}.json` : 'program-map-layout.json';
+  downloadBlob(new Blob([JSON.stringify(layout, null, 2)], { type: 'application/json' }), filename);
+}
+
+/**
+ * Load a layout file and pin every project it places
+ */
+async function loadLayoutFile(file) {
+  let layout;
+  try {
+    layout = JSON.parse(await file.text());
+  } catch (error) {
+    showDataNotice(`Could not read layout file "${file.name}": ${error.message}`);
+    return;
+  }
+  if (!layout || layout.version !== LAYOUT_FILE_VERSION || !layout.positions || typeof layout.positions !== 'object') {
+    showDataNotice(`"${file.name}" is not a program map layout file`);
+    return;
+  }
+  
+  const positions = {};
+  Object.entries(layout.positions).forEach(([id, position]) => {
+    if (position && Number.isFinite(position.x) && Number.isFinite(position.y)) {
+      positions[id] = position;
+    }
+  });
+  if (layout.layout) {
+    setLayoutMode(layout.layout);
+  }
+  const applied = applySavedPositions(nodes, positions);
+  nodeGroups.classed('pinned', d => d.pinned);
+  const missing = nodes.filter(node => !node.isGhost && !positions[node.id]).length;
+  if (missing > 0) {
+    showDataNotice(`The layout places ${applied} of ${applied + missing} projects; the others are laid out automatically`);
+  }
+  simulation.alpha(0.3).restart();
+  updateUrlState({ push: true });
+}
+
+/**
+ * Store the pinned positions in the rows' x/y columns (editor mode), releasing positions of unpinned rows
+ */
+function storePositionsInRows() {
+  const { width, height } = getLayoutSize();
+  const byEditorId = new Map(nodes.filter(node => !node.isGhost).map(node => [node.editorId, node]));
+  commitRowsEdit(rows => {
+    rows.forEach(row => {
+      const node = byEditorId.get(row.__editorId);
+      if (!node) return;
+      if (node.pinned) {
+        const position = getNodePositionFractions(node, width, height);
+        row.x = String(position.x);
+        row.y = String(position.y);
+      } else if (row.x || row.y) {
+        row.x = '';
+        row.y = '';
+      }
+    });
+  });
+}
+
+/**
+ * Create a circular clipPath for every node with a usable photo
+ */
+function createClipPaths(graphNodes) {
+  clipDefs.selectAll('clipPath').remove();
+  
+  // For each node, create a clipPath if it has a photo; unsafe links count as none (see validateData)
+  graphNodes.forEach((node, i) => {
+    node.clipId = null;
+    if (sanitizeUrl(node.photoLink, SAFE_PHOTO_SCHEMES)) {
+      const clipId = `${mapIdPrefix}-node-clip-${i}`;
+      node.clipId = clipId;
+
+      const clipPath = clipDefs.append('clipPath')
+        .attr('id', clipId);
+
+      clipPath.append('circle')
+        .attr('cx', 0)
+        .attr('cy', 0)
+        .attr('r', getNodeRadius(getNodeSize(node)));
+    }
+  });
+}
+
+/**
+ * Marker id of a relation's arrowhead
+ */
+function getRelationMarkerId(relation) {
+  return `${mapIdPrefix}-arrow-${(relation || 'untyped').replace(/[^a-z0-9]+/gi, '-')}`;
+}
+
+/**
+ * Create an arrowhead marker in each relation color used by a directed link
+ */
+function createRelationMarkers() {
+  const relations = Array.from(new Set(links.filter(l => l.directed).map(l => l.relation)));
+  clipDefs.selectAll('marker.relation-marker')
+    .data(relations, d => d)
+    .join(enter => {
+      const marker = enter.append('marker')
+        .attr('class', 'relation-marker')
+        .attr('id', d => getRelationMarkerId(d))
+        .attr('viewBox', '0 -5 10 10')
+        .attr('refX', 10)
+        .attr('refY', 0)
+        .attr('markerWidth', 7)
+        .attr('markerHeight', 7)
+        .attr('orient', 'auto');
+      marker.append('path')
+        .attr('d', 'M0,-5L10,0L0,5')
+        .attr('fill', d => getRelationStyle(d).color);
+      return marker;
+    });
+}
+
+/**
+ * Path of a link: straight, or a quadratic curve for typed/directed and parallel links.
+ * Directed links stop at the target's edge so the arrowhead stays visible.
+ */
+function getLinkPath(l) {
+  const sx = l.source.x;
+  const sy = l.source.y;
+  let tx = l.target.x;
+  let ty = l.target.y;
+  const dx = tx - sx;
+  const dy = ty - sy;
+  const cx = (sx + tx) / 2 - dy * l.curve;
+  const cy = (sy + ty) / 2 + dx * l.curve;
+  
+  if (l.directed) {
+    const endDx = tx - cx;
+    const endDy = ty - cy;
+    const length = Math.hypot(endDx, endDy) || 1;
+    const inset = getNodeRadius(getNodeSize(l.target)) + 2;
+    tx -= (endDx / length) * inset;
+    ty -= (endDy / length) * inset;
+  }
+  return l.curve
+    ? `M${sx},${sy}Q${cx},${cy} ${tx},${ty}`
+    : `M${sx},${sy}L${tx},${ty}`;
+}
+
+// Zoom buttons scale by this factor; zoom transitions take this long (ms)
+const ZOOM_STEP = 1.5;
+const ZOOM_DURATION = 600;
+// Space kept around projects when framing them (px)
+const FIT_PADDING = 60;
+
+/**
+ * Zoom in or out around the centre of the map
+ */
+function zoomBy(factor) {
+  svg.transition().duration(ZOOM_DURATION).call(zoomBehavior.scaleBy, factor);
+}
+
+/**
+ * Back to the unzoomed map
+ */
+function resetZoom() {
+  svg.transition().duration(ZOOM_DURATION).call(zoomBehavior.transform, d3.zoomIdentity);
+}
+
+/**
+ * Pan and zoom so the given nodes fill the map, within the zoom limits
+ */
+function zoomToNodes(targets) {
+  if (targets.length === 0) return;
+  const { width, height } = getLayoutSize();
+  const radius = d => getNodeRadius(getNodeSize(d));
+  const x0 = d3.min(targets, d => d.x - radius(d));
+  const x1 = d3.max(targets, d => d.x + radius(d));
+  const y0 = d3.min(targets, d => d.y - radius(d));
+  const y1 = d3.max(targets, d => d.y + radius(d));
+  
+  const [minScale, maxScale] = zoomBehavior.scaleExtent();
+  const fitScale = Math.min(
+    Math.max(width - 2 * FIT_PADDING, 1) / (x1 - x0),
+    Math.max(height - 2 * FIT_PADDING, 1) / (y1 - y0)
+  );
+  const k = Math.max(minScale, Math.min(maxScale, fitScale));
+  const transform = d3.zoomIdentity
+    .translate(width / 2, height / 2)
+    .scale(k)
+    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+  svg.transition().duration(ZOOM_DURATION).call(zoomBehavior.transform, transform);
+}
+
+/**
+ * Frame every project on the map
+ */
+function fitAll() {
+  zoomToNodes(simulation.nodes());
+}
+
+/**
+ * Frame the selected project with its neighbours, or else the projects matching the filters
+ */
+function zoomToSelection() {
+  const targets = clickedNode
+    ? [clickedNode, ...getNodeNeighbours(clickedNode)]
+    : simulation.nodes().filter(d => nodeMatchesFilters(d));
+  zoomToNodes(targets);
+}
+
+/**
+ * Set up the overview minimap; clicking or dragging in it pans the map there
+ */
+function initMinimap() {
+  minimap = selectInMap('#minimap');
+  minimap.append('g').attr('class', 'minimap-nodes');
+  minimap.append('rect').attr('class', 'minimap-viewport');
+  
+  const panTo = event => {
+    const [x, y] = d3.pointer(event, minimap.node());
+    svg.call(zoomBehavior.translateTo, x, y);
+  };
+  minimap.call(d3.drag().on('start drag', panTo));
+}
+
+/**
+ * Redraw the minimap: the whole map, its projects, and the part currently in view
+ */
+function updateMinimap() {
+  if (!minimap) return;
+  const { width, height } = getLayoutSize();
+  const transform = d3.zoomTransform(svg.node());
+  const [viewX0, viewY0] = transform.invert([0, 0]);
+  const [viewX1, viewY1] = transform.invert([width, height]);
+  const shown = simulation.nodes();
+  
+  // The overview covers the map area, every project and the viewport, whichever reaches further
+  const x0 = Math.min(0, viewX0, d3.min(shown, d => d.x) || 0);
+  const y0 = Math.min(0, viewY0, d3.min(shown, d => d.y) || 0);
+  const x1 = Math.max(width, viewX1, d3.max(shown, d => d.x) || 0);
+  const y1 = Math.max(height, viewY1, d3.max(shown, d => d.y) || 0);
+  minimap.attr('viewBox', `${x0} ${y0} ${x1 - x0} ${y1 - y0}`);
+  
+  minimap.select('.minimap-nodes')
+    .selectAll('circle')
+    .data(shown, d => d.id)
+    .join('circle')
+    .attr('cx', d => d.x)
+    .attr('cy', d => d.y)
+    .attr('r', d => getNodeRadius(getNodeSize(d)))
+    .attr('fill', d => getNodeFill(d))
+    .classed('dimmed', d => !nodeMatchesFilters(d));
+  
+  minimap.select('.minimap-viewport')
+    .attr('x', viewX0)
+    .attr('y', viewY0)
+    .attr('width', viewX1 - viewX0)
+    .attr('height', viewY1 - viewY0);
+}
+
+/**
+ * Move everything drawn to the nodes' current positions
+ */
+function renderPositions() {
+  seriesLinkElements
+    .attr('x1', d => d.source.x)
+    .attr('y1', d => d.source.y)
+    .attr('x2', d => d.target.x)
+    .attr('y2', d => d.target.y);
+  
+  linkElements.attr('d', getLinkPath);
+  updateHullPaths();
+  
+  // Re-place labels now and then while nodes move, and once they settle
+  if (++labelTickCount % 20 === 0) placeLabels();
+  
+  nodeGroups
+    .attr('transform', d => `translate(${d.x},${d.y})`);
+  updateDurationBars();
+  updateMinimap();
+  
+  // Keep the popup next to its node
+  updatePopupPosition();
+}
+
+/**
+ * Initialize the visualization
+ */
+function initVisualization(data) {
+  const width = mapRoot.clientWidth;
+  const height = mapRoot.clientHeight;
+  
+  // Create SVG
+  svg = selectInMap('#visualization')
+    .attr('width', width)
+    .attr('height', height)
+    .attr('viewBox', `0 0 ${width} ${height}`);
+  
+  // Create main group for zoom/pan
+  g = svg.append('g');
+  
+  // Create schedule scale
+  scheduleScale = createScheduleScale(width);
+  
+  // Seeded starting positions and jiggle make every load settle into the same map
+  seedNodePositions(data.nodes, height);
+  applySavedPositions(data.nodes);
+  
+  // Create force simulation
+  simulation = d3.forceSimulation(data.nodes)
+    .randomSource(d3.randomLcg(LAYOUT_SEED))
+    .force('link', d3.forceLink(data.links)
+      .id(d => d.id)
+      .distance(100)
+    )
+    .force('charge', d3.forceManyBody().strength(-300))
+    .force('center', d3.forceCenter(width / 2, height / 2))
+    .force('x', d3.forceX(d => getNodeXPosition(d, scheduleScale)).strength(0.5))
+    .force('y', d3.forceY(height / 2).strength(0.1));
+  defaultLinkStrength = simulation.force('link').strength();
+  
+  // Add zoom behavior
+  zoomBehavior = d3.zoom()
+    .scaleExtent([0.3, 4])
+    .on('zoom', (event) => {
+      g.attr('transform', event.transform);
+      placeLabels();
+      updateMinimap();
+      
+      // Keep the open popup next to its node while zooming and panning
+      updatePopupPosition();
+    })
+    .on('end', () => updateUrlState());
+  
+  svg.call(zoomBehavior);
+  
+  // Create defs for clipPaths
+  const defs = svg.append('defs');
+  
+  // Create background columns for schedule
+  backgroundColumns = g.append('g')
+    .attr('class', 'background-columns');
+  
+  drawLayoutBackground(width, height);
+  
+  // Layers for cluster outlines, series connectors, links and nodes; their contents are joined in updateGraph
+  hullsLayer = g.append('g')
+    .attr('class', 'hulls');
+  seriesLinksLayer = g.append('g')
+    .attr('class', 'series-links');
+  linksLayer = g.append('g')
+    .attr('class', 'links');
+  nodesLayer = g.append('g')
+    .attr('class', 'nodes');
+  
+  clipDefs = defs;
+  createClipPaths(data.nodes);
+  createRelationMarkers();
+  
+  updateGraph({ animate: false });
+  
+  // Update positions on simulation tick
+  simulation.on('tick', renderPositions);
+  
+  simulation.on('end', placeLabels);
+}
+
+// Duration of enter/exit transitions when filtering hides or restores projects
+const GRAPH_TRANSITION_MS = 400;
+
+/**
+ * Get the id of a link end, whether d3 has resolved it to a node object yet or not
+ */
+function getLinkEndId(end) {
+  return typeof end === 'object' ? end.id : end;
+}
+
+/**
+ * Create the SVG elements of entering nodes (duration bar, circle, photo, label)
+ */
+function createNodeGroups(enter) {
+  const groups = enter.append('g')
+    .attr('class', 'node-group')
+    .classed('pinned', d => d.pinned)
+    .attr('tabindex', 0)
+    .attr('role', 'button')
+    .attr('aria-label', d => getNodeAccessibleName(d))
+    .call(d3.drag()
+      .on('start', dragStarted)
+      .on('drag', dragged)
+      .on('end', dragEnded)
+    )
+    .on('mouseover', handleNodeHover)
+    .on('mouseout', handleNodeMouseOut)
+    .on('focus', handleNodeHover)
+    .on('blur', handleNodeMouseOut)
+    .on('keydown', handleNodeKeydown)
+    .on('click', handleNodeClick)
+    .on('dblclick', handleNodeDoubleClick);
+  
+  // Add duration bars behind multi-season nodes (positions are set on tick)
+  groups.filter(d => getScheduleXPositions(d, scheduleScale).length > 1)
+    .append('line')
+    .attr('class', 'duration-bar')
+    .attr('y1', 0)
+    .attr('y2', 0)
+    .attr('stroke', d => getNodeFill(d))
+    .attr('stroke-width', d => getNodeRadius(getNodeSize(d)) * 0.6)
+    .attr('stroke-linecap', 'round')
+    .attr('stroke-opacity', 0.35)
+    .attr('pointer-events', 'none');
+  
+  // Create circles for nodes (background/fill) - no stroke
+  // Discontinued projects (comparison mode) are drawn as faint ghosts
+  groups.append('circle')
+    .attr('class', 'node')
+    .attr('r', d => getNodeRadius(getNodeSize(d)))
+    .attr('fill', d => getNodeFill(d))
+    .attr('fill-opacity', d => (d.isGhost ? 0.25 : null))
+    .attr('stroke', 'none');
+
+  // Add images inside circles for nodes with photos
+  groups.filter(d => d.clipId).append('image')
+    .attr('href', d => sanitizeUrl(d.photoLink, SAFE_PHOTO_SCHEMES))
+    .attr('xlink:href', d => sanitizeUrl(d.photoLink, SAFE_PHOTO_SCHEMES))
+    .attr('x', d => -getNodeRadius(getNodeSize(d)))
+    .attr('y', d => -getNodeRadius(getNodeSize(d)))
+    .attr('width', d => getNodeRadius(getNodeSize(d)) * 2)
+    .attr('height', d => getNodeRadius(getNodeSize(d)) * 2)
+    .attr('preserveAspectRatio', 'xMidYMid slice')
+    .attr('clip-path', d => `url(#${d.clipId})`)
+    .attr('opacity', d => (d.isGhost ? 0.25 : null));
+  
+  // Ring marking the change against the previous year (comparison mode)
+  groups.filter(d => d.project.comparison && d.project.comparison.status !== 'continuing')
+    .append('circle')
+    .attr('class', 'comparison-ring')
+    .attr('r', d => getNodeRadius(getNodeSize(d)) + 4)
+    .attr('fill', 'none')
+    .attr('stroke', d => COMPARISON_STATUSES[d.project.comparison.status].color)
+    .attr('stroke-width', 2)
+    .attr('stroke-dasharray', d => (d.isGhost ? '3,3' : null))
+    .attr('pointer-events', 'none');
+  
+  // Add labels (project names) to all nodes
+  const phoneScale = getPhoneViewScale();
+  groups.append('text')
+    .attr('class', 'node-label')
+    .text(d => d.name)
+    .attr('font-size', 10 * phoneScale)
+    .attr('text-anchor', 'middle')
+    .attr('dy', d => getNodeRadius(getNodeSize(d)) + 14 * phoneScale) // Position below the circle
+    .attr('fill', getThemeColor('text'))
+    .attr('pointer-events', 'none')
+    .style('font-family', activeTheme.font.family);
+  
+  // Start entering nodes at their last known position
+  groups.filter(d => d.x !== undefined)
+    .attr('transform', d => `translate(${d.x},${d.y})`);
+  
+  return groups;
+}
+
+/**
+ * Fade elements in; the style opacity overrides the filter opacity attribute only while fading
+ */
+function fadeIn(selection, duration) {
+  return selection
+    .style('opacity', 0)
+    .call(entering => entering.transition('visibility')
+      .duration(duration)
+      .style('opacity', 1)
+      .on('end', function() { d3.select(this).style('opacity', null); }));
+}
+
+/**
+ * Fade elements out and remove them
+ */
+function fadeOutAndRemove(selection, duration) {
+  return selection.transition('visibility')
+    .duration(duration)
+    .style('opacity', 0)
+    .remove();
+}
+
+/**
+ * Cancel a running fade on elements that stay (e.g. an exiting node that came back)
+ */
+function cancelFade(selection) {
+  return selection.interrupt('visibility').style('opacity', null);
+}
+
+/**
+ * Join nodes, links and series connectors to the projects that should be on the map
+ * In 'hide' mode non-matching projects leave the simulation, which is re-heated to re-flow the rest
+ */
+function updateGraph(options = {}) {
+  const { animate = true, force = false, rebuild = false } = options;
+  if (!nodesLayer || !simulation) return;
+  
+  // After the data itself changed, redraw every element instead of diffing stale attributes
+  if (rebuild) {
+    seriesLinksLayer.selectAll('*').remove();
+    linksLayer.selectAll('*').remove();
+    nodesLayer.selectAll('*').remove();
+  }
+  
+  const visibleNodes = filterDisplayMode === 'hide'
+    ? nodes.filter(d => nodeMatchesFilters(d))
+    : nodes;
+  const visibleKey = visibleNodes.map(d => d.id).join('|');
+  if (visibleKey === graphVisibleKey && !force && !rebuild) return;
+  graphVisibleKey = visibleKey;
+  
+  const visibleIds = new Set(visibleNodes.map(d => d.id));
+  const isVisibleLink = l => visibleIds.has(getLinkEndId(l.source)) && visibleIds.has(getLinkEndId(l.target));
+  const linkKey = l => `${getLinkEndId(l.source)}|${getLinkEndId(l.target)}|${l.relation || ''}`;
+  const duration = animate ? GRAPH_TRANSITION_MS : 0;
+  
+  // Draw faint series connectors between occurrences of the same project
+  seriesLinkElements = seriesLinksLayer.selectAll('line.series-link')
+    .data(seriesLinks.filter(isVisibleLink), linkKey)
+    .join(
+      enter => enter.append('line')
+        .attr('class', 'series-link')
+        .attr('stroke', getThemeColor('link'))
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '2,4')
+        .call(fadeIn, duration),
+      update => cancelFade(update),
+      exit => fadeOutAndRemove(exit, duration)
+    );
+  
+  // Draw links
+  const visibleLinks = links.filter(isVisibleLink);
+  linkElements = linksLayer.selectAll('path.link')
+    .data(visibleLinks, linkKey)
+    .join(
+      enter => enter.append('path')
+        .attr('class', 'link')
+        .attr('fill', 'none')
+        .attr('stroke', l => getRelationStyle(l.relation).color)
+        .style('stroke', l => (l.relation ? getRelationStyle(l.relation).color : null)) // Beats the stylesheet's link color
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', l => getRelationStyle(l.relation).dash || null)
+        .attr('marker-end', l => (l.directed ? `url(#${getRelationMarkerId(l.relation)})` : null))
+        .call(fadeIn, duration),
+      update => cancelFade(update),
+      exit => fadeOutAndRemove(exit, duration)
+    );
+  
+  // Create node groups (circle + image); DOM order is the tab order
+  nodeGroups = nodesLayer.selectAll('g.node-group')
+    .data(visibleNodes.slice().sort(compareNodesForNavigation), d => d.id)
+    .join(
+      enter => createNodeGroups(enter).call(fadeIn, duration),
+      update => cancelFade(update),
+      exit => fadeOutAndRemove(exit, duration)
+    )
+    .order();
+  nodeElements = nodeGroups.select('circle.node');
+  
+  // Store labels reference for opacity updates
+  window.nodeLabels = nodeGroups.select('text.node-label');
+  
+  // A selected project that got hidden closes its popup
+  if (clickedNode && !visibleIds.has(clickedNode.id)) {
+    clickedNode = null;
+    closePopup();
+  }
+  
+  simulation.nodes(visibleNodes);
+  simulation.force('link').links(visibleLinks);
+  configureLayoutForces();
+  updateHulls();
+  placeLabels();
+  if (animate) {
+    simulation.alpha(0.6).restart();
+  }
+}
+
+/**
+ * Order nodes by season, then name (used for tab order and the project list)
+ */
+function compareNodesForNavigation(a, b) {
+  return getScheduleIndex(a) - getScheduleIndex(b) || a.name.localeCompare(b.name);
+}
+
+/**
+ * Accessible name of a node, e.g. "Ark Lab, lab, Summer"
+ */
+function getNodeAccessibleName(d) {
+  return [d.name, d.type, formatNodeSchedule(d), getComparisonLabel(d)].filter(part => part).join(', ');
+}
+
+/**
+ * Get nodes directly connected to a node, including its series siblings
+ */
+function getNodeNeighbours(d) {
+  const neighbours = new Set();
+  [...links, ...seriesLinks].forEach(l => {
+    if (l.source === d) neighbours.add(l.target);
+    if (l.target === d) neighbours.add(l.source);
+  });
+  return Array.from(neighbours);
+}
+
+// Unit direction vectors for arrow-key navigation (SVG y grows downwards)
+const ARROW_DIRECTIONS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowDown: [0, 1],
+  ArrowUp: [0, -1]
+};
+
+/**
+ * Pick the connected node that lies most nearly in the arrow's direction
+ */
+function findNeighbourInDirection(d, direction) {
+  let best = null;
+  let bestScore = -Infinity;
+  getNodeNeighbours(d).forEach(n => {
+    const dx = n.x - d.x;
+    const dy = n.y - d.y;
+    const distance = Math.hypot(dx, dy) || 1;
+    const alignment = (dx * direction[0] + dy * direction[1]) / distance;
+    // Must be within 60° of the arrow; prefer aligned, then close nodes
+    if (alignment < 0.5) return;
+    const score = alignment - distance / 10000;
+    if (score > bestScore) {
+      best = n;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Move keyboard focus to a node's group element
+ */
+function focusNode(d) {
+  if (!nodeGroups) return;
+  const element = nodeGroups.filter(n => n === d).node();
+  if (element) element.focus();
+}
+
+/**
+ * Move focus into the popup so screen readers announce it as a dialog
+ */
+function focusPopup() {
+  if (popupState.mode !== 'closed') {
+    getMapElement('popup').focus();
+  }
+}
+
+/**
+ * Keyboard handling on a focused node: Enter/Space opens, arrows follow connections
+ */
+function handleNodeKeydown(event, d) {
+  if (event.key === 'Enter' && event.shiftKey) {
+    event.preventDefault();
+    togglePathEndpoint(d);
+  } else if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    selectNode(d);
+    focusPopup();
+  } else if (ARROW_DIRECTIONS[event.key]) {
+    event.preventDefault();
+    const next = findNeighbourInDirection(d, ARROW_DIRECTIONS[event.key]);
+    if (next) {
+      // Moving while a project is open keeps the popup on the new project
+      if (clickedNode) selectNode(next);
+      focusNode(next);
+    }
+  }
+}
+
+/**
+ * Build the visually hidden list of all projects, grouped by season, for screen readers
+ */
+function buildAccessibleList() {
+  const container = selectInMap('#project-list-groups');
+  container.selectAll('*').remove();
+  
+  const sorted = nodes.slice().sort(compareNodesForNavigation);
+  const groups = d3.group(sorted, d => (d.schedule.length > 0 ? d.schedule[0] : timeline.undatedLabel));
+  
+  groups.forEach((groupNodes, label) => {
+    container.append('h3').text(label);
+    container.append('ul')
+      .selectAll('li')
+      .data(groupNodes)
+      .enter()
+      .append('li')
+      .property('hidden', d => !nodeMatchesFilters(d))
+      .append('button')
+      .attr('type', 'button')
+      .text(d => getNodeAccessibleName(d))
+      .on('click', (event, d) => {
+        event.stopPropagation();
+        selectNode(d);
+        focusPopup();
+      });
+  });
+}
+
+// Length of the description excerpt in the list view
+const LIST_EXCERPT_LENGTH = 160;
+
+/**
+ * Get the group keys a node is listed under; nodes with several seasons or fields appear in each
+ */
+function getListGroupKeys(d, groupBy) {
+  if (groupBy === 'type') return [d.type || 'no type'];
+  if (groupBy === 'field') return d.fields.length > 0 ? d.fields : ['no field'];
+  return d.schedule.length > 0 ? d.schedule : [timeline.undatedLabel];
+}
+
+/**
+ * Order list groups: seasons along the timeline, everything else alphabetically
+ */
+function compareListGroups(a, b, groupBy) {
+  if (groupBy === 'season') return getBucketIndex(a) - getBucketIndex(b);
+  return a.localeCompare(b);
+}
+
+/**
+ * Comparators for the list view sort select
+ */
+const LIST_SORTERS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  season: (a, b) => compareNodesForNavigation(a, b),
+  type: (a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name),
+  scale: (a, b) => b.scale - a.scale || a.name.localeCompare(b.name)
+};
+
+/**
+ * Shorten a description to a one-paragraph excerpt
+ */
+function getDescriptionExcerpt(description) {
+  const text = description.replace(/\s+/g, ' ').trim();
+  return text.length > LIST_EXCERPT_LENGTH
+    ? `${text.slice(0, LIST_EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`
+    : text;
+}
+
+/**
+ * Render the list view from the nodes that pass the current filters
+ */
+function renderListView() {
+  const groupBy = getMapElement('list-group-by').value;
+  const sortBy = getMapElement('list-sort-by').value;
+  const matching = nodes.filter(d => nodeMatchesFilters(d)).sort(LIST_SORTERS[sortBy] || LIST_SORTERS.name);
+  
+  const grouped = new Map();
+  matching.forEach(d => {
+    getListGroupKeys(d, groupBy).forEach(key => {
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(d);
+    });
+  });
+  
+  selectInMap('#list-count').text(`${matching.length} of ${nodes.length} projects`);
+  
+  const container = selectInMap('#list-groups');
+  container.selectAll('*').remove();
+  
+  Array.from(grouped.keys()).sort((a, b) => compareListGroups(a, b, groupBy)).forEach(key => {
+    const group = container.append('section').attr('class', 'list-group');
+    group.append('h3').attr('class', 'list-group-title').text(key);
+    
+    const items = group.selectAll('.list-item')
+      .data(grouped.get(key))
+      .enter()
+      .append('article')
+      .attr('class', 'list-item')
+      .on('click', (event, d) => {
+        // Let the previous-event link open normally
+        if (event.target.closest('a')) return;
+        showProjectOnMap(d);
+      });
+    
+    items.append('span')
+      .attr('class', 'list-item-swatch')
+      .style('background-color', d => getNodeFill(d));
+    
+    const body = items.append('div').attr('class', 'list-item-body');
+    body.append('button')
+      .attr('type', 'button')
+      .attr('class', 'list-item-name')
+      .text(d => d.name);
+    body.append('div')
+      .attr('class', 'list-item-meta')
+      .text(d => [d.type, formatNodeSchedule(d), getComparisonLabel(d)].filter(part => part).join(' | '));
+    body.filter(d => d.fields.length > 0)
+      .append('div')
+      .attr('class', 'list-item-fields')
+      .text(d => d.fields.join(', '));
+    body.filter(d => d.description.trim() !== '')
+      .append('p')
+      .attr('class', 'list-item-description')
+      .text(d => getDescriptionExcerpt(d.description));
+    body.filter(d => sanitizeUrl(d.previousEvent))
+      .append('a')
+      .attr('class', 'list-item-link')
+      .attr('href', d => sanitizeUrl(d.previousEvent))
+      .attr('target', '_blank')
+      .attr('rel', 'noopener')
+      .text(getPreviousEventLabel);
+  });
+}
+
+/**
+ * Switch between the map and the list view
+ */
+function switchView(view) {
+  currentView = view === 'list' ? 'list' : 'map';
+  const isList = currentView === 'list';
+  
+  getMapElement('list-view').classList.toggle('active', isList);
+  getMapElement('visualization').style.visibility = isList ? 'hidden' : 'visible';
+  getMapElement('map-navigator').style.visibility = isList ? 'hidden' : 'visible';
+  const toggleBtn = getMapElement('view-toggle-btn');
+  toggleBtn.textContent = isList ? 'map view' : 'list view';
+  toggleBtn.setAttribute('aria-pressed', String(isList));
+  
+  if (isList) {
+    closePopup();
+    renderListView();
+  } else if (clickedNode) {
+    openPopup(clickedNode, true);
+  }
+}
+
+/**
+ * Jump from a list entry back to the map with that project selected
+ */
+function showProjectOnMap(d) {
+  switchView('map');
+  selectNode(d);
+  focusNode(d);
+}
+
+// Cap on how many equally short paths are listed
+const MAX_PATHS = 5;
+
+/**
+ * Popup path button: "path from here" starts a new path, "path to here" completes it
+ */
+function pickPathEndpointFromPopup(d) {
+  if (pathEndpoints.length !== 1 || pathEndpoints[0] === d) {
+    pathEndpoints = [];
+  }
+  clearSelection();
+  togglePathEndpoint(d);
+}
+
+/**
+ * Pick a project as path start or end; picking a third starts over, picking the start again cancels
+ */
+function togglePathEndpoint(d) {
+  if (pathEndpoints.length === 1 && pathEndpoints[0] === d) {
+    pathEndpoints = [];
+  } else if (pathEndpoints.length === 2) {
+    pathEndpoints = [d];
+  } else {
+    pathEndpoints.push(d);
+  }
+  updatePath();
+  updateUrlState({ push: true });
+}
+
+/**
+ * Leave the path explorer
+ */
+function clearPath() {
+  if (pathEndpoints.length === 0) return;
+  pathEndpoints = [];
+  updatePath();
+  updateUrlState({ push: true });
+}
+
+/**
+ * Recompute the paths for the picked projects and redraw the panel and highlight
+ */
+function updatePath() {
+  pathResult = pathEndpoints.length === 2 ? findShortestPaths(pathEndpoints[0], pathEndpoints[1]) : null;
+  renderPathPanel();
+  applyFilters();
+}
+
+/**
+ * Outgoing steps of every node: links in their direction (both ways when undirected)
+ * and series links both ways, since a participant can stay with a project across seasons
+ */
+function getPathAdjacency() {
+  const adjacency = new Map(nodes.map(n => [n, []]));
+  const addStep = (from, to, via) => {
+    if (adjacency.has(from) && adjacency.has(to)) adjacency.get(from).push({ node: to, via: via });
+  };
+  links.forEach(l => {
+    addStep(l.source, l.target, l);
+    if (!l.directed) addStep(l.target, l.source, l);
+  });
+  seriesLinks.forEach(l => {
+    addStep(l.source, l.target, l);
+    addStep(l.target, l.source, l);
+  });
+  return adjacency;
+}
+
+/**
+ * All shortest paths from start to end (breadth-first), up to MAX_PATHS
+ * Returns [[{ node, via }]] where via is the link leading to node (null for the start)
+ */
+function findShortestPaths(start, end) {
+  const adjacency = getPathAdjacency();
+  const distance = new Map([[start, 0]]);
+  const predecessors = new Map([[start, []]]);
+  const queue = [start];
+  
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === end) continue;
+    adjacency.get(current).forEach(({ node, via }) => {
+      if (!distance.has(node)) {
+        distance.set(node, distance.get(current) + 1);
+        predecessors.set(node, []);
+        queue.push(node);
+      }
+      if (distance.get(node) === distance.get(current) + 1) {
+        predecessors.get(node).push({ node: current, via: via });
+      }
+    });
+  }
+  if (!distance.has(end)) return [];
+  
+  // Walk back from the end through every predecessor
+  const paths = [];
+  const walk = (node, suffix) => {
+    if (paths.length >= MAX_PATHS) return;
+    if (node === start) {
+      paths.push([{ node: start, via: null }, ...suffix]);
+      return;
+    }
+    predecessors.get(node).forEach(previous => walk(previous.node, [{ node: node, via: previous.via }, ...suffix]));
+  };
+  walk(end, []);
+  return paths;
+}
+
+/**
+ * How a path step follows from the one before, e.g. "prepares for" or "next season"
+ */
+function describePathStep(step) {
+  const via = step.via;
+  if (!via.relation && via.project) {
+    return 'same project, another season';
+  }
+  // Directed links are only walked forwards, so the relation reads from the previous step
+  return getRelationStyle(via.relation).label.toLowerCase();
+}
+
+/**
+ * Steps that go backwards in time, e.g. a Fall course that feeds a Spring lab
+ */
+function getBackwardSteps(path) {
+  const warnings = [];
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1].node;
+    const to = path[i].node;
+    if (from.schedule.length > 0 && to.schedule.length > 0 && getScheduleIndex(to) < getScheduleIndex(from)) {
+      warnings.push(`${from.name} (${formatNodeSchedule(from)}) leads to ${to.name} (${formatNodeSchedule(to)}), which happens earlier`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Render the path explorer panel: picked projects, ordered steps and time warnings
+ */
+function renderPathPanel() {
+  const panel = selectInMap('#path-panel')
+    .classed('active', pathEndpoints.length > 0);
+  const content = panel.select('#path-content');
+  content.selectAll('*').remove();
+  if (pathEndpoints.length === 0) return;
+  
+  const formatEndpoint = d => [d.name, formatNodeSchedule(d)].filter(part => part).join(', ');
+  if (pathEndpoints.length === 1) {
+    content.append('p')
+      .attr('class', 'path-hint')
+      .text(`From ${formatEndpoint(pathEndpoints[0])}. Shift-click another project, or choose "path to here" in its popup.`);
+    return;
+  }
+  
+  if (pathResult.length === 0) {
+    content.append('p')
+      .attr('class', 'path-hint')
+      .text(`No connection leads from ${formatEndpoint(pathEndpoints[0])} to ${formatEndpoint(pathEndpoints[1])}.`);
+    return;
+  }
+  
+  content.append('p')
+    .attr('class', 'path-hint')
+    .text(`${pathResult.length} shortest path${pathResult.length > 1 ? 's' : ''}, ${pathResult[0].length - 1} step${pathResult[0].length > 2 ? 's' : ''}`);
+  
+  pathResult.forEach(path => {
+    const list = content.append('ol').attr('class', 'path-steps');
+    path.forEach((step, i) => {
+      const item = list.append('li').attr('class', 'path-step');
+      if (i > 0) {
+        item.append('div')
+          .attr('class', 'path-step-relation')
+          .text(describePathStep(step));
+      }
+      item.append('button')
+        .attr('type', 'button')
+        .attr('class', 'path-step-name')
+        .text(formatEndpoint(step.node))
+        .on('click', () => {
+          selectNode(step.node);
+          focusNode(step.node);
+        });
+    });
+    getBackwardSteps(path).forEach(warning => {
+      content.append('p')
+        .attr('class', 'path-warning')
+        .text(`Goes back in time: ${warning}`);
+    });
+  });
+}
+
+/**
+ * Emphasise the picked projects and the nodes and links on their paths (called from applyFilters)
+ */
+function applyPathHighlight() {
+  const endpointIds = new Set(pathEndpoints.map(d => d.id));
+  nodeGroups.classed('path-endpoint', d => endpointIds.has(d.id));
+  
+  const pathNodes = new Set();
+  const pathLinks = new Set();
+  (pathResult || []).forEach(path => {
+    path.forEach(step => {
+      pathNodes.add(step.node.id);
+      if (step.via) pathLinks.add(step.via);
+    });
+  });
+  
+  const hasPath = pathLinks.size > 0;
+  linkElements
+    .classed('path-link', l => pathLinks.has(l))
+    .attr('opacity', l => (hasPath ? (pathLinks.has(l) ? 1 : 0.15) : null));
+  seriesLinkElements
+    .classed('path-link', l => pathLinks.has(l));
+  if (hasPath) {
+    nodeGroups.attr('opacity', d => (pathNodes.has(d.id) ? 1 : 0.15));
+  }
+}
+
+// Metrics the analysis panel can color and size nodes by ('project' uses the CSV color/scale)
+const METRIC_LABELS = {
+  degree: 'connections',
+  betweenness: 'betweenness',
+  component: 'component',
+  cluster: 'cluster'
+};
+const CLUSTER_COLORS = d3.schemeTableau10;
+
+/**
+ * Neighbours of every node for analysis: connections in either direction, plus the
+ * series links so a project's seasons stay in one component and cluster
+ */
+function getAnalysisAdjacency() {
+  const adjacency = new Map(nodes.map(n => [n, new Set()]));
+  [...links, ...seriesLinks].forEach(l => {
+    if (!adjacency.has(l.source) || !adjacency.has(l.target)) return;
+    adjacency.get(l.source).add(l.target);
+    adjacency.get(l.target).add(l.source);
+  });
+  return adjacency;
+}
+
+/**
+ * Betweenness centrality (Brandes), normalized so the top node is 1
+ */
+function computeBetweenness(adjacency) {
+  const centrality = new Map(nodes.map(n => [n, 0]));
+  nodes.forEach(source => {
+    const stack = [];
+    const predecessors = new Map(nodes.map(n => [n, []]));
+    const pathCounts = new Map(nodes.map(n => [n, 0]));
+    const distance = new Map([[source, 0]]);
+    pathCounts.set(source, 1);
+    const queue = [source];
+    while (queue.length > 0) {
+      const v = queue.shift();
+      stack.push(v);
+      adjacency.get(v).forEach(w => {
+        if (!distance.has(w)) {
+          distance.set(w, distance.get(v) + 1);
+          queue.push(w);
+        }
+        if (distance.get(w) === distance.get(v) + 1) {
+          pathCounts.set(w, pathCounts.get(w) + pathCounts.get(v));
+          predecessors.get(w).push(v);
+        }
+      });
+    }
+    const dependency = new Map(nodes.map(n => [n, 0]));
+    while (stack.length > 0) {
+      const w = stack.pop();
+      predecessors.get(w).forEach(v => {
+        dependency.set(v, dependency.get(v) + (pathCounts.get(v) / pathCounts.get(w)) * (1 + dependency.get(w)));
+      });
+      if (w !== source) centrality.set(w, centrality.get(w) + dependency.get(w));
+    }
+  });
+  const max = d3.max(Array.from(centrality.values())) || 1;
+  centrality.forEach((value, node) => centrality.set(node, value / max));
+  return centrality;
+}
+
+/**
+ * Connected components, numbered from the largest
+ */
+function computeComponents(adjacency) {
+  const componentOf = new Map();
+  const components = [];
+  nodes.forEach(start => {
+    if (componentOf.has(start)) return;
+    const members = [start];
+    componentOf.set(start, components.length);
+    for (let i = 0; i < members.length; i++) {
+      adjacency.get(members[i]).forEach(neighbour => {
+        if (!componentOf.has(neighbour)) {
+          componentOf.set(neighbour, components.length);
+          members.push(neighbour);
+        }
+      });
+    }
+    components.push(members);
+  });
+  const order = components.map((members, i) => i).sort((a, b) => components[b].length - components[a].length);
+  const rank = new Map(order.map((componentIndex, i) => [componentIndex, i]));
+  componentOf.forEach((index, node) => componentOf.set(node, rank.get(index)));
+  return componentOf;
+}
+
+/**
+ * Community clusters by label propagation; each node takes the most common label among its
+ * neighbours (ties go to the smallest label) so the result is the same on every load
+ */
+function computeClusters(adjacency) {
+  const ordered = nodes.slice().sort(compareNodesForNavigation);
+  const labels = new Map(ordered.map((n, i) => [n, i]));
+  for (let iteration = 0; iteration < 20; iteration++) {
+    let changed = false;
+    ordered.forEach(node => {
+      const neighbours = Array.from(adjacency.get(node));
+      if (neighbours.length === 0) return;
+      const counts = d3.rollup(neighbours, group => group.length, n => labels.get(n));
+      const maxCount = d3.max(Array.from(counts.values()));
+      const best = d3.min(Array.from(counts).filter(([, count]) => count === maxCount), ([label]) => label);
+      if ((counts.get(labels.get(node)) || 0) < maxCount && best !== labels.get(node)) {
+        labels.set(node, best);
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+  // Renumber clusters from the largest
+  const sizes = d3.rollup(ordered, group => group.length, n => labels.get(n));
+  const ranked = Array.from(sizes.keys()).sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+  const rank = new Map(ranked.map((label, i) => [label, i]));
+  const clusterOf = new Map();
+  labels.forEach((label, node) => clusterOf.set(node, rank.get(label)));
+  return clusterOf;
+}
+
+/**
+ * Compute degree, betweenness, components and clusters for the current graph
+ */
+function computeGraphMetrics() {
+  const adjacency = getAnalysisAdjacency();
+  const betweenness = computeBetweenness(adjacency);
+  const components = computeComponents(adjacency);
+  const clusters = computeClusters(adjacency);
+  
+  // Degree counts connections to other projects only, not the project's own seasons
+  const degree = new Map(nodes.map(n => [n, 0]));
+  links.forEach(l => {
+    if (degree.has(l.source)) degree.set(l.source, degree.get(l.source) + 1);
+    if (degree.has(l.target)) degree.set(l.target, degree.get(l.target) + 1);
+  });
+  
+  graphMetrics = new Map(nodes.map(n => [n.id, {
+    degree: degree.get(n),
+    betweenness: betweenness.get(n),
+    component: components.get(n),
+    cluster: clusters.get(n)
+  }]));
+  graphMetricMaxima = {
+    degree: d3.max(graphMetrics.values(), m => m.degree) || 1,
+    betweenness: d3.max(graphMetrics.values(), m => m.betweenness) || 1
+  };
+  nodeScaleExtent = nodes.length > 0 ? d3.extent(nodes, n => n.scale) : [1, 1];
+}
+
+/**
+ * Fill color of a node: its CSV color, or a color for the metric chosen in the analysis panel
+ */
+function getNodeFill(d) {
+  const metrics = graphMetrics.get(d.id);
+  const metric = analyticsSettings.colorBy;
+  if (metric === 'project' || !metrics) return d.color;
+  if (metric === 'cluster' || metric === 'component') {
+    return CLUSTER_COLORS[metrics[metric] % CLUSTER_COLORS.length];
+  }
+  const max = graphMetricMaxima[metric];
+  // Start the ramp above black so low values stay visible on the dark background
+  return d3.interpolatePlasma(0.15 + 0.85 * (metrics[metric] / max));
+}
+
+/**
+ * Size of a node on the CSV scale: its scale, or the metric chosen in the analysis panel
+ * spread over the data's range of scales
+ */
+function getNodeSize(d) {
+  const metrics = graphMetrics.get(d.id);
+  const metric = analyticsSettings.sizeBy;
+  if (metric === 'project' || !metrics) return d.scale;
+  const [minScale, maxScale] = nodeScaleExtent;
+  return minScale + (maxScale - minScale) * (metrics[metric] / graphMetricMaxima[metric]);
+}
+
+/**
+ * Recolor and resize drawn nodes after the analysis settings change
+ */
+function applyNodeEncoding() {
+  if (!nodeGroups) return;
+  nodeGroups.select('circle.node').attr('fill', d => getNodeFill(d));
+  nodeGroups.select('line.duration-bar').attr('stroke', d => getNodeFill(d));
+  updateNodeSizes();
+  configureLayoutForces();
+  updateHulls();
+  simulation.alpha(0.3).restart();
+}
+
+/**
+ * Draw (or remove) outlines around clusters of three or more visible nodes
+ */
+function updateHulls() {
+  if (!hullsLayer) return;
+  const groups = analyticsSettings.showHulls
+    ? Array.from(d3.group(simulation.nodes().filter(d => graphMetrics.has(d.id)), d => graphMetrics.get(d.id).cluster))
+      .filter(([, members]) => members.length >= 3)
+    : [];
+  
+  hullsLayer.selectAll('path.cluster-hull')
+    .data(groups, ([cluster]) => cluster)
+    .join('path')
+    .attr('class', 'cluster-hull')
+    .attr('fill', ([cluster]) => CLUSTER_COLORS[cluster % CLUSTER_COLORS.length])
+    .attr('fill-opacity', 0.08)
+    .attr('stroke', ([cluster]) => CLUSTER_COLORS[cluster % CLUSTER_COLORS.length])
+    .attr('stroke-opacity', 0.5)
+    .attr('stroke-width', 1.5)
+    .attr('pointer-events', 'none');
+  updateHullPaths();
+}
+
+/**
+ * Reshape cluster outlines around the current node positions (called on tick)
+ */
+function updateHullPaths() {
+  if (!hullsLayer || !analyticsSettings.showHulls) return;
+  const line = d3.line().curve(d3.curveCatmullRomClosed);
+  hullsLayer.selectAll('path.cluster-hull').attr('d', ([, members]) => {
+    // Pad each node with points on a circle around it so the outline clears the node
+    const points = [];
+    members.forEach(d => {
+      const padding = getNodeRadius(getNodeSize(d)) + 12;
+      for (let i = 0; i < 8; i++) {
+        const angle = (i / 8) * 2 * Math.PI;
+        points.push([d.x + padding * Math.cos(angle), d.y + padding * Math.sin(angle)]);
+      }
+    });
+    const hull = d3.polygonHull(points);
+    return hull ? line(hull) : null;
+  });
+}
+
+/**
+ * Render the analysis panel: summary, hubs and isolated projects
+ */
+function renderAnalyticsPanel() {
+  const content = selectInMap('#analytics-content');
+  content.selectAll('*').remove();
+  
+  const metricsOf = d => graphMetrics.get(d.id);
+  const projectList = Array.from(d3.group(nodes, d => d.project).values());
+  const isolated = projectList.filter(occurrences => occurrences.every(d => metricsOf(d).degree === 0));
+  const componentCount = new Set(nodes.map(d => metricsOf(d).component)).size;
+  const clusterCount = new Set(nodes.map(d => metricsOf(d).cluster)).size;
+  
+  content.append('p')
+    .attr('class', 'analytics-summary')
+    .text(`${projectList.length} projects in ${componentCount} component${componentCount === 1 ? '' : 's'} ` +
+      `and ${clusterCount} cluster${clusterCount === 1 ? '' : 's'}; ${isolated.length} without connections.`);
+  
+  const appendProjectList = (title, entries) => {
+    if (entries.length === 0) return;
+    content.append('h3').text(title);
+    const list = content.append('ul').attr('class', 'analytics-list');
+    entries.forEach(({ node, detail }) => {
+      const item = list.append('li');
+      item.append('button')
+        .attr('type', 'button')
+        .attr('class', 'analytics-project')
+        .text(node.name)
+        .on('click', () => showProjectOnMap(node));
+      if (detail) item.append('span').attr('class', 'analytics-detail').text(detail);
+    });
+  };
+  
+  // Hubs: the best-connected occurrence of each project
+  const bestOccurrence = (occurrences, metric) => d3.greatest(occurrences, d => metricsOf(d)[metric]);
+  const topProjects = metric => projectList
+    .map(occurrences => bestOccurrence(occurrences, metric))
+    .filter(d => metricsOf(d)[metric] > 0)
+    .sort((a, b) => metricsOf(b)[metric] - metricsOf(a)[metric])
+    .slice(0, 5);
+  appendProjectList('Most connected', topProjects('degree')
+    .map(node => ({ node: node, detail: `${metricsOf(node).degree} connections` })));
+  appendProjectList('Bridges (betweenness)', topProjects('betweenness')
+    .map(node => ({ node: node, detail: metricsOf(node).betweenness.toFixed(2) })));
+  appendProjectList('Isolated projects', isolated
+    .map(occurrences => ({ node: occurrences[0], detail: occurrences[0].type }))
+    .sort((a, b) => a.node.name.localeCompare(b.node.name)));
+}
+
+/**
+ * Drag handlers
+ */
+function dragStarted(event, d) {
+  // Shift-drag in editor mode draws a connection instead of moving the node
+  if (isEditorMode() && event.sourceEvent && event.sourceEvent.shiftKey) {
+    startConnectionDrag(d);
+    return;
+  }
+  if (!event.active) simulation.alphaTarget(0.3).restart();
+  nodeDragMoved = false;
+  d.fx = d.x;
+  d.fy = d.y;
+}
+
+function dragged(event, d) {
+  if (connectionLine) {
+    connectionLine.attr('x2', event.x).attr('y2', event.y);
+    return;
+  }
+  nodeDragMoved = true;
+  d.fx = event.x;
+  d.fy = event.y;
+}
+
+function dragEnded(event, d) {
+  if (connectionLine) {
+    finishConnectionDrag(event, d);
+    return;
+  }
+  if (!event.active) simulation.alphaTarget(0);
+  // In pin mode (or for an already pinned node) the node stays where it was dropped
+  setNodePinned(d, d.pinned || (pinMode && nodeDragMoved));
+}
+
+/**
+ * Double-clicking a pinned node releases it back to the layout
+ */
+function handleNodeDoubleClick(event, d) {
+  event.stopPropagation();
+  if (!d.pinned) return;
+  setNodePinned(d, false);
+  simulation.alpha(0.3).restart();
+}
+
+/**
+ * Handle node hover
+ */
+function handleNodeHover(event, d) {
+  // Don't show popup on hover if a node is already clicked (unless it's the same node)
+  if (clickedNode && clickedNode.id !== d.id) {
+    return;
+  }
+  
+  showFullLabel(d);
+  
+  // Get connected neighbor IDs
+  const connectedIds = new Set([d.id]);
+  linkElements.each(function(l) {
+    const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
+    const targetId = typeof l.target === 'object' ? l.target.id : l.target;
+    if (sourceId === d.id) connectedIds.add(targetId);
+    if (targetId === d.id) connectedIds.add(sourceId);
+  });
+  
+  // Create a map of node opacity values
+  const nodeOpacityMap = new Map();
+  nodeGroups.each(function(n) {
+    let opacity = 1;
+    if (n.id === d.id) {
+      opacity = 1;
+    } else if (connectedIds.has(n.id)) {
+      opacity = 1; // Keep connected neighbors fully opaque
+    } else if (n.type === d.type) {
+      opacity = 1;
+    } else {
+      opacity = 0.15; // Stronger opacity reduction for non-matching types
+    }
+    nodeOpacityMap.set(n.id, opacity);
+  });
+  
+  // Highlight edges connected to this node
+  linkElements
+    .classed('highlighted', l => {
+      const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
+      const targetId = typeof l.target === 'object' ? l.target.id : l.target;
+      return sourceId === d.id || targetId === d.id;
+    })
+    .attr('stroke-opacity', l => {
+      const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
+      const targetId = typeof l.target === 'object' ? l.target.id : l.target;
+      const isConnected = sourceId === d.id || targetId === d.id;
+      if (isConnected) {
+        return 1; // Fully visible for connected edges
+      }
+      // For non-connected edges, dim if either node is dimmed
+      const sourceOpacity = nodeOpacityMap.get(sourceId) || 1;
+      const targetOpacity = nodeOpacityMap.get(targetId) || 1;
+      return Math.min(sourceOpacity, targetOpacity);
+    });
+  
+  // Highlight the series connecting this occurrence to its other seasons
+  seriesLinkElements.classed('highlighted', l => l.project === d.project);
+  
+  // Reduce opacity of nodes with different type, but keep connected neighbors fully opaque
+  // Apply opacity to the entire node group (circle, image, text)
+  nodeGroups.attr('opacity', n => nodeOpacityMap.get(n.id) || 1);
+  
+  // Show popup on hover; a popup pinned to the selected project stays
+  openPopup(d);
+}
+
+/**
+ * Handle node mouse out
+ */
+function handleNodeMouseOut(event, d) {
+  restoreLabel(d);
+  
+  // If a node is clicked, keep popup visible even on mouseout
+  if (clickedNode && clickedNode.id === d.id) {
+    // Keep popup visible for clicked node, but reset link/node opacity
+    linkElements
+      .classed('highlighted', false)
+      .attr('stroke-opacity', 0.6);
+    seriesLinkElements.classed('highlighted', l => l.project === d.project);
+    applyFilters();
+    return;
+  }
+  
+  // Reset all links
+  linkElements
+    .classed('highlighted', false)
+    .attr('stroke-opacity', 0.6);
+  seriesLinkElements.classed('highlighted', false);
+  
+  // Reset all node opacities (but respect filter state)
+  applyFilters();
+  
+  // Close the popup unless it is pinned to the selected project
+  if (popupState.mode === 'open') {
+    closePopup();
+  }
+}
+
+/**
+ * Handle node click
+ */
+function handleNodeClick(event, d) {
+  event.stopPropagation();
+  // Shift-click picks the projects for the path explorer
+  if (event.shiftKey) {
+    togglePathEndpoint(d);
+    return;
+  }
+  selectNode(d);
+}
+
+/**
+ * Select a node: keep its popup open and highlight it with its neighbours
+ */
+function selectNode(d) {
+  clickedNode = d;
+  
+  // Get connected neighbor IDs
+  const connectedIds = new Set([d.id]);
+  linkElements.each(function(l) {
+    const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
+    const targetId = typeof l.target === 'object' ? l.target.id : l.target;
+    if (sourceId === d.id) connectedIds.add(targetId);
+    if (targetId === d.id) connectedIds.add(sourceId);
+  });
+  
+  // Create a map of node opacity values
+  const nodeOpacityMap = new Map();
+  nodeGroups.each(function(n) {
+    let opacity = 1;
+    if (n.id === d.id) {
+      opacity = 1;
+    } else if (connectedIds.has(n.id)) {
+      opacity = 1; // Keep connected neighbors fully opaque
+    } else {
+      opacity = 0.15; // Dim all other nodes
+    }
+    nodeOpacityMap.set(n.id, opacity);
+  });
+  
+  // Highlight edges connected to this node
+  linkElements
+    .classed('highlighted', l => {
+      const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
+      const targetId = typeof l.target === 'object' ? l.target.id : l.target;
+      return sourceId === d.id || targetId === d.id;
+    })
+    .attr('stroke-opacity', l => {
+      const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
+      const targetId = typeof l.target === 'object' ? l.target.id : l.target;
+      const isConnected = sourceId === d.id || targetId === d.id;
+      if (isConnected) {
+        return 1; // Fully visible for connected edges
+      }
+      // For non-connected edges, dim if either node is dimmed
+      const sourceOpacity = nodeOpacityMap.get(sourceId) || 1;
+      const targetOpacity = nodeOpacityMap.get(targetId) || 1;
+      return Math.min(sourceOpacity, targetOpacity);
+    });
+  
+  seriesLinkElements.classed('highlighted', l => l.project === d.project);
+  
+  // Keep clicked node and connected neighbors fully opaque
+  nodeGroups.attr('opacity', n => nodeOpacityMap.get(n.id) || 1);
+  
+  // The list view has no popup; switching back to the map opens it for clickedNode
+  if (currentView === 'map') {
+    openPopup(d, true);
+  }
+  updateUrlState({ push: true });
+  if (!isRestoringState) {
+    emitWidgetEvent('projectOpened', { project: getProjectSummary(d) });
+  }
+}
+
+/**
+ * Clear the selected node, close its popup and restore filter opacities
+ */
+function clearSelection() {
+  const previousNode = clickedNode;
+  clickedNode = null;
+  if (seriesLinkElements) {
+    seriesLinkElements.classed('highlighted', false);
+  }
+  closePopup();
+  applyFilters();
+  if (previousNode) {
+    updateUrlState({ push: true });
+    if (!isRestoringState) {
+      emitWidgetEvent('projectClosed', { project: getProjectSummary(previousNode) });
+    }
+  }
+}
+
+// Space between the popup and its node, and between the popup and the map edges (px)
+const POPUP_GAP = 12;
+const POPUP_MARGIN = 8;
+
+/**
+ * Popup card markup for a project
+ */
+function renderPopupContent(node) {
+  let html = '';
+  
+  // Photo (if available) - always show if photo link exists
+  // Every value from the data is escaped, and links and photos must use an allowed scheme
+  const photoSrc = sanitizeUrl(node.photoLink, SAFE_PHOTO_SCHEMES);
+  if (photoSrc) {
+    html += `<img src="${escapeHtml(photoSrc)}" alt="${escapeHtml(node.name)}" class="popup-photo">`;
+  }
+  
+  // Project name
+  html += `<div class="popup-name" id="popup-title">${escapeHtml(node.name)}</div>`;
+  
+  // Type | Schedule (in smaller text, theme type color)
+  const scheduleDisplay = formatNodeSchedule(node);
+  const typeScheduleText = scheduleDisplay ? `${node.type} | ${scheduleDisplay}` : node.type;
+  html += `<div class="popup-type">${escapeHtml(typeScheduleText)}</div>`;
+  
+  // Other seasons of a recurring project
+  if (node.project && node.project.occurrences.length > 1) {
+    const otherSeasons = node.project.occurrences
+      .filter(o => o !== node)
+      .map(o => formatNodeSchedule(o))
+      .filter(season => season.length > 0);
+    if (otherSeasons.length > 0) {
+      html += `<div class="popup-series">Also in ${escapeHtml(otherSeasons.join(', '))}</div>`;
+    }
+  }
+  
+  // Typed connections, e.g. "Prepares for: Etudes Lab"
+  const relationLines = getNodeRelations(node);
+  if (relationLines.length > 0) {
+    html += '<div class="popup-relations">';
+    relationLines.forEach(({ label, color, names }) => {
+      html += `<div class="popup-relation"><span class="popup-relation-label" style="color: ${color}">${escapeHtml(label)}:</span> ${escapeHtml(names.join(', '))}</div>`;
+    });
+    html += '</div>';
+  }
+  
+  // Graph metrics while the map is colored or sized by them
+  const metrics = graphMetrics.get(node.id);
+  if (metrics && (analyticsSettings.colorBy !== 'project' || analyticsSettings.sizeBy !== 'project' || analyticsSettings.showHulls)) {
+    html += `<div class="popup-metrics">${metrics.degree} connections · betweenness ${metrics.betweenness.toFixed(2)} · cluster ${metrics.cluster + 1}</div>`;
+  }
+  
+  // Change against the previous year (comparison mode)
+  const comparisonLabel = getComparisonLabel(node);
+  if (comparisonLabel) {
+    html += `<div class="popup-comparison ${node.project.comparison.status}">${escapeHtml(comparisonLabel)}</div>`;
+  }
+  
+  // Description - always show if it exists
+  if (node.description && node.description.trim() !== '') {
+    html += `<div class="popup-description">${renderRichText(node.description)}</div>`;
+  }
+  
+  // Fields (as tags)
+  if (node.fields && node.fields.length > 0) {
+    html += `<div class="popup-tags">`;
+    node.fields.forEach(field => {
+      const safeField = escapeHtml(field);
+      const isActiveField = selectedFields.has(field);
+      const activeClass = isActiveField ? ' active' : '';
+      html += `<button type="button" class="popup-tag${activeClass}" data-popup-action="field" data-field="${safeField}">${safeField}</button>`;
+    });
+    html += `</div>`;
+  }
+  
+  // Previous event button
+  const previousEventHref = sanitizeUrl(node.previousEvent);
+  if (previousEventHref) {
+    html += `<a href="${escapeHtml(previousEventHref)}" target="_blank" rel="noopener noreferrer" class="popup-button">${escapeHtml(getPreviousEventLabel(node))}</a>`;
+  }
+  
+  // Full detail view: gallery, videos, links, contact and connections
+  html += '<button type="button" class="popup-details" data-popup-action="details">details</button>';
+  
+  // Path explorer: start a path here, or end the one already started
+  const pathAction = pathEndpoints.length === 1 && pathEndpoints[0] !== node ? 'path to here' : 'path from here';
+  html += `<button type="button" class="popup-path" data-popup-action="path">${pathAction}</button>`;
+  
+  // Edit button (editor mode)
+  if (isEditorMode() && !node.isGhost) {
+    html += '<button type="button" class="popup-edit" data-popup-action="edit">edit</button>';
+  }
+  
+  return html;
+}
+
+/**
+ * Open the popup for a project. Hover and focus open it transiently; selecting a project pins it,
+ * and a pinned popup stays on its project while others are hovered
+ */
+function openPopup(node, pinned = false) {
+  if (popupState.mode === 'pinned' && popupState.node !== node && !pinned) return;
+  const stayPinned = popupState.mode === 'pinned' && popupState.node === node;
+  
+  const popup = getMapElement('popup');
+  popup.innerHTML = renderPopupContent(node);
+  popup.style.display = 'block';
+  popupState.mode = pinned || stayPinned ? 'pinned' : 'open';
+  popupState.node = node;
+  
+  // Hide photos that fail to load
+  const photo = popup.querySelector('.popup-photo');
+  if (photo) {
+    photo.addEventListener('error', () => {
+      photo.style.display = 'none';
+    });
+  }
+  
+  updatePopupPosition();
+}
+
+/**
+ * Close the popup, pinned or not
+ */
+function closePopup() {
+  popupState.mode = 'closed';
+  popupState.node = null;
+  const popup = getMapElement('popup');
+  popup.style.display = 'none';
+  popup.innerHTML = '';
+}
+
+/**
+ * Run a popup action (tag, details, path, edit) on the popup's project
+ */
+function handlePopupAction(action, target) {
+  const node = popupState.node;
+  if (action === 'field') {
+    const fieldValue = target.getAttribute('data-field');
+    toggleFieldFilter(fieldValue);
+    target.classList.toggle('active', selectedFields.has(fieldValue));
+  } else if (action === 'details') {
+    openDetailPanel(node);
+  } else if (action === 'path') {
+    pickPathEndpointFromPopup(node);
+  } else if (action === 'edit') {
+    openEditor(node);
+  }
+}
+
+/**
+ * Wire the popup once: one delegated handler for its actions, and one outside-click handler
+ * that closes a pinned popup when the map background (or anything that isn't a control) is clicked
+ */
+function initPopup() {
+  const popup = getMapElement('popup');
+  popup.addEventListener('click', (event) => {
+    // Clicks inside the card never count as outside clicks
+    event.stopPropagation();
+    const action = event.target.closest('[data-popup-action]');
+    if (action && popupState.node) {
+      handlePopupAction(action.getAttribute('data-popup-action'), action);
+    }
+  });
+  
+  // Only clicks inside the map count; node clicks stop propagation, and d3 swallows the click
+  // that ends a pan or drag. List entries select their project themselves
+  mapRoot.addEventListener('click', (event) => {
+    if (popupState.mode !== 'pinned') return;
+    if (event.target.closest('button, a, input, select, textarea, label, .filters-popup, .filters-backdrop, .detail-panel, .export-menu, .path-panel, .map-navigator, .list-view')) {
+      return;
+    }
+    clearSelection();
+  });
+}
+
+/**
+ * Every connection of a node, reading each link from the node's side
+ * Returns [{ node, relation, label, color }]
+ */
+function getNodeConnections(node) {
+  return links
+    .filter(l => l.source === node || l.target === node)
+    .map(l => {
+      const isSource = l.source === node;
+      const style = getRelationStyle(l.relation);
+      return {
+        node: isSource ? l.target : l.source,
+        relation: l.relation,
+        label: !l.directed || isSource ? style.label : (style.inverseLabel || style.label),
+        color: style.color
+      };
+    });
+}
+
+/**
+ * Typed relations of a node grouped by label
+ * Returns [{ label, color, names }]
+ */
+function getNodeRelations(node) {
+  const groups = new Map();
+  getNodeConnections(node).filter(connection => connection.relation).forEach(({ node: other, label, color }) => {
+    if (!groups.has(label)) groups.set(label, { label: label, color: color, names: [] });
+    if (!groups.get(label).names.includes(other.name)) groups.get(label).names.push(other.name);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Show a legend of the relation types on the map (only when some connections are typed)
+ */
+function renderRelationLegend() {
+  const relations = Array.from(d3.group(links.filter(l => l.relation), l => l.relation));
+  const legend = selectInMap('#relation-legend')
+    .classed('active', relations.length > 0);
+  legend.selectAll('*').remove();
+  
+  relations.forEach(([relation, relationLinks]) => {
+    const style = getRelationStyle(relation);
+    const item = legend.append('span').attr('class', 'relation-legend-item');
+    item.append('span')
+      .attr('class', 'relation-swatch')
+      .style('border-top-color', style.color)
+      .style('border-top-style', style.dash ? 'dashed' : 'solid');
+    item.append('span')
+      .text(relationLinks.some(l => l.directed) ? `${style.label} →` : style.label);
+  });
+}
+
+/**
+ * Place the popup beside its node: right, left, below or above, whichever fits inside the map first,
+ * otherwise clamped to the map edges
+ */
+function updatePopupPosition() {
+  const node = popupState.node;
+  if (!node || !svg) return;
+  const popup = getMapElement('popup');
+  
+  const transform = d3.zoomTransform(svg.node());
+  const [x, y] = transform.apply([node.x, node.y]);
+  const radius = getNodeRadius(getNodeSize(node)) * transform.k;
+  const { width: mapWidth, height: mapHeight } = getLayoutSize();
+  const width = popup.offsetWidth;
+  const height = popup.offsetHeight;
+  
+  const fits = ([left, top]) => left >= POPUP_MARGIN && top >= POPUP_MARGIN &&
+    left + width <= mapWidth - POPUP_MARGIN && top + height <= mapHeight - POPUP_MARGIN;
+  const clamp = ([left, top]) => [
+    Math.max(POPUP_MARGIN, Math.min(left, mapWidth - width - POPUP_MARGIN)),
+    Math.max(POPUP_MARGIN, Math.min(top, mapHeight - height - POPUP_MARGIN))
+  ];
+  // Beside the node the card is centred vertically, above or below it is centred horizontally;
+  // each candidate is first slid along its side to stay inside the map
+  const candidates = [
+    [x + radius + POPUP_GAP, y - height / 2],
+    [x - radius - POPUP_GAP - width, y - height / 2],
+    [x - width / 2, y + radius + POPUP_GAP],
+    [x - width / 2, y - radius - POPUP_GAP - height]
+  ];
+  const slide = ([left, top], index) => (index < 2
+    ? [left, clamp([left, top])[1]]
+    : [clamp([left, top])[0], top]);
+  const placement = candidates.map(slide).find(fits) || clamp(candidates[0]);
+  
+  popup.style.left = placement[0] + 'px';
+  popup.style.top = placement[1] + 'px';
+}
+
+/**
+ * Chip for another project in the detail panel; projects hidden by the filters can't be visited
+ */
+function renderDetailChip(other, label, color) {
+  const hidden = filterDisplayMode === 'hide' && !nodeMatchesFilters(other);
+  const title = hidden ? ' title="Hidden by the filters"' : '';
+  return `<button type="button" class="detail-chip" data-node-id="${escapeHtml(other.id)}"${hidden ? ' disabled' : ''}${title}>` +
+    `<span class="detail-chip-dot" style="background-color: ${escapeHtml(getNodeFill(other))}"></span>` +
+    `${escapeHtml(other.name)}${label ? ` <span class="detail-chip-label"${color ? ` style="color: ${escapeHtml(color)}"` : ''}>${escapeHtml(label)}</span>` : ''}` +
+    '</button>';
+}
+
+/**
+ * Open the detail panel for a project: gallery, description, videos, links, contact and connections
+ */
+function openDetailPanel(node) {
+  detailNode = node;
+  const content = getMapElement('detail-content');
+  let html = '';
+  
+  // Photo gallery; each photo opens full size
+  const photos = node.photoLinks.map(url => sanitizeUrl(url, SAFE_PHOTO_SCHEMES)).filter(url => url);
+  if (photos.length > 0) {
+    html += '<div class="detail-gallery">';
+    photos.forEach((src, i) => {
+      const alt = photos.length > 1 ? `${node.name}, photo ${i + 1} of ${photos.length}` : node.name;
+      html += `<a href="${escapeHtml(src)}" target="_blank" rel="noopener noreferrer"><img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy"></a>`;
+    });
+    html += '</div>';
+  }
+  
+  html += `<h2 id="detail-title" class="detail-title">${escapeHtml(node.name)}</h2>`;
+  const scheduleDisplay = formatNodeSchedule(node);
+  html += `<div class="popup-type">${escapeHtml(scheduleDisplay ? `${node.type} | ${scheduleDisplay}` : node.type)}</div>`;
+  
+  if (node.description.trim() !== '') {
+    html += `<div class="popup-description">${renderRichText(node.description)}</div>`;
+  }
+  
+  if (node.fields.length > 0) {
+    html += `<div class="popup-tags">${node.fields.map(field => `<span class="popup-tag">${escapeHtml(field)}</span>`).join('')}</div>`;
+  }
+  
+  // YouTube and Vimeo links play inline, other video links are listed
+  const videos = node.videos.map(url => sanitizeUrl(url)).filter(url => url);
+  if (videos.length > 0) {
+    html += '<h3>Videos</h3>';
+    videos.forEach((url, i) => {
+      const embedUrl = getVideoEmbedUrl(url);
+      html += embedUrl
+        ? `<div class="detail-video"><iframe src="${escapeHtml(embedUrl)}" title="${escapeHtml(`${node.name}, video ${i + 1}`)}" loading="lazy" allow="fullscreen; picture-in-picture" allowfullscreen referrerpolicy="strict-origin-when-cross-origin"></iframe></div>`
+        : `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="detail-link">Video ${i + 1}</a>`;
+    });
+  }
+  
+  // Labelled links, with the previous event first
+  const detailLinks = [{ label: getPreviousEventLabel(node), url: node.previousEvent }, ...node.links]
+    .map(link => ({ label: link.label, href: sanitizeUrl(link.url) }))
+    .filter(link => link.href);
+  if (detailLinks.length > 0) {
+    html += '<h3>Links</h3><div class="detail-links">';
+    detailLinks.forEach(link => {
+      html += `<a href="${escapeHtml(link.href)}" target="_blank" rel="noopener noreferrer" class="popup-button detail-link">${escapeHtml(link.label)}</a>`;
+    });
+    html += '</div>';
+  }
+  
+  if (node.contact.trim() !== '') {
+    html += `<h3>Contact</h3><div class="popup-description">${renderRichText(node.contact)}</div>`;
+  }
+  
+  // Connected projects and other seasons, as chips that move the map to them
+  const connections = getNodeConnections(node);
+  if (connections.length > 0) {
+    html += `<h3>Connected projects</h3><div class="detail-chips">${connections.map(c => renderDetailChip(c.node, c.relation ? c.label : '', c.color)).join('')}</div>`;
+  }
+  const otherOccurrences = node.project ? node.project.occurrences.filter(o => o !== node) : [];
+  if (otherOccurrences.length > 0) {
+    html += `<h3>Other seasons</h3><div class="detail-chips">${otherOccurrences.map(o => renderDetailChip(o, formatNodeSchedule(o), '')).join('')}</div>`;
+  }
+  
+  content.innerHTML = html;
+  content.querySelectorAll('.detail-gallery img').forEach(img => {
+    img.addEventListener('error', () => img.parentNode.remove());
+  });
+  
+  const panel = getMapElement('detail-panel');
+  panel.classList.add('active');
+  getMapElement('detail-backdrop').classList.add('active');
+  panel.scrollTop = 0;
+  panel.focus();
+}
+
+/**
+ * Close the detail panel and return focus to the popup it was opened from
+ */
+function closeDetailPanel() {
+  if (!detailNode) return;
+  detailNode = null;
+  getMapElement('detail-panel').classList.remove('active');
+  getMapElement('detail-backdrop').classList.remove('active');
+  getMapElement('detail-content').innerHTML = '';
+  focusPopup();
+}
+
+/**
+ * Follow a chip in the detail panel: select that project, frame it on the map and show its details
+ */
+function showConnectedProject(node) {
+  switchView('map');
+  selectNode(node);
+  zoomToSelection();
+  openDetailPanel(node);
+}
+
+/**
+ * Build filter UI
+ */
+function buildFilters() {
+  // Get all unique types, fields and seasons
+  const allTypes = new Set();
+  const allFields = new Set();
+  const allSeasons = new Set();
+  
+  nodes.forEach(node => {
+    if (node.type) allTypes.add(node.type);
+    node.fields.forEach(field => allFields.add(field));
+    getNodeSeasons(node).forEach(season => allSeasons.add(season));
+  });
+  
+  buildFilterChips('type', Array.from(allTypes).sort());
+  buildFilterChips('field', Array.from(allFields).sort());
+  buildFilterChips('season', Array.from(allSeasons).sort((a, b) => getBucketIndex(a) - getBucketIndex(b)));
+  
+  // Fields AND/OR toggle
+  selectAllInMap('#field-mode-toggle button')
+    .on('click', function() {
+      fieldMatchMode = this.getAttribute('data-mode');
+      applyFilters();
+      updateUrlState({ push: true });
+    });
+  
+  // Dim or hide non-matching projects
+  selectAllInMap('#filter-display-toggle button')
+    .on('click', function() {
+      filterDisplayMode = this.getAttribute('data-mode');
+      applyFilters();
+      updateUrlState({ push: true });
+    });
+  
+  updateFilterChips();
+}
+
+/**
+ * Seasons a node counts as for the season filter (undated nodes use the undated lane)
+ */
+function getNodeSeasons(d) {
+  return d.schedule.length > 0 ? d.schedule : [timeline.undatedLabel];
+}
+
+/**
+ * Filter dimensions: the values a node has, and the chips' include/exclude sets
+ */
+const FILTER_DIMENSIONS = {
+  type: {
+    container: '#type-filters',
+    included: selectedTypes,
+    excluded: excludedTypes,
+    elements: typeFilterElements,
+    getValues: d => [d.type]
+  },
+  field: {
+    container: '#fields-filters',
+    included: selectedFields,
+    excluded: excludedFields,
+    elements: fieldFilterElements,
+    getValues: d => d.fields
+  },
+  season: {
+    container: '#season-filters',
+    included: selectedSeasons,
+    excluded: excludedSeasons,
+    elements: seasonFilterElements,
+    getValues: getNodeSeasons
+  }
+};
+
+/**
+ * Build the chips of one filter dimension
+ * Clicking a chip cycles it: include → exclude ("not") → off
+ */
+function buildFilterChips(dimensionName, values) {
+  const dimension = FILTER_DIMENSIONS[dimensionName];
+  const container = selectInMap(dimension.container);
+  container.selectAll('*').remove();
+  dimension.elements.clear();
+  
+  values.forEach(value => {
+    const tag = container.append('div')
+      .attr('class', 'filter-tag')
+      .attr('role', 'button')
+      .attr('tabindex', 0)
+      .attr(`data-${dimensionName}-filter`, value)
+      .on('click', () => cycleFilterChip(dimensionName, value))
+      .on('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          cycleFilterChip(dimensionName, value);
+        }
+      });
+    tag.append('span')
+      .attr('class', 'filter-tag-label')
+      .text(value);
+    tag.append('span')
+      .attr('class', 'filter-count');
+    
+    dimension.elements.set(value, tag);
+  });
+}
+
+/**
+ * Cycle a chip through include → exclude → off
+ */
+function cycleFilterChip(dimensionName, value) {
+  const dimension = FILTER_DIMENSIONS[dimensionName];
+  if (dimension.included.has(value)) {
+    dimension.included.delete(value);
+    dimension.excluded.add(value);
+  } else if (dimension.excluded.has(value)) {
+    dimension.excluded.delete(value);
+  } else {
+    dimension.included.add(value);
+  }
+  applyFilters();
+  updateUrlState({ push: true });
+}
+
+/**
+ * Count the projects a chip stands for under the rest of the current selection
+ * (for an excluded chip: how many projects it hides)
+ */
+function getFilterChipCount(dimensionName, value) {
+  const dimension = FILTER_DIMENSIONS[dimensionName];
+  const wasExcluded = dimension.excluded.delete(value);
+  // In AND mode field chips narrow the current result instead of replacing it
+  const ignoreDimension = dimensionName === 'field' && fieldMatchMode === 'all' ? null : dimensionName;
+  const count = nodes.filter(d =>
+    dimension.getValues(d).includes(value) && nodeMatchesFilters(d, ignoreDimension)
+  ).length;
+  if (wasExcluded) dimension.excluded.add(value);
+  return count;
+}
+
+/**
+ * Sync chip states, counts and the fields mode toggle with the filter state
+ */
+function updateFilterChips() {
+  Object.entries(FILTER_DIMENSIONS).forEach(([dimensionName, dimension]) => {
+    dimension.elements.forEach((tag, value) => {
+      const isIncluded = dimension.included.has(value);
+      const isExcluded = dimension.excluded.has(value);
+      const count = getFilterChipCount(dimensionName, value);
+      tag.classed('active', isIncluded)
+        .classed('excluded', isExcluded)
+        .classed('empty', count === 0 && !isIncluded && !isExcluded)
+        .attr('aria-pressed', isIncluded ? 'true' : (isExcluded ? 'mixed' : 'false'))
+        .attr('title', isExcluded ? `Excluding ${value}` : (isIncluded ? `Including ${value}` : `Filter by ${value}`));
+      tag.select('.filter-count').text(isExcluded ? `−${count}` : count);
+    });
+  });
+  
+  selectAllInMap('#field-mode-toggle button')
+    .classed('active', function() { return this.getAttribute('data-mode') === fieldMatchMode; });
+  selectAllInMap('#filter-display-toggle button')
+    .classed('active', function() { return this.getAttribute('data-mode') === filterDisplayMode; });
+}
+
+/**
+ * Check whether a node matches every search term in its name, type, description or fields
+ */
+function nodeMatchesSearch(d, query) {
+  const haystack = [d.name, d.type, d.description, d.fields.join(' ')].join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(term => term.length > 0)
+    .every(term => haystack.includes(term));
+}
+
+/**
+ * Toggle a field filter from either sidebar or popup
+ */
+function toggleFieldFilter(field) {
+  const shouldBecomeActive = !selectedFields.has(field);
+  setFieldFilterState(field, shouldBecomeActive);
+}
+
+/**
+ * Set a field filter to a specific active state
+ */
+function setFieldFilterState(field, shouldBeActive, options = {}) {
+  const { apply = true } = options;
+  excludedFields.delete(field);
+  if (shouldBeActive) {
+    selectedFields.add(field);
+  } else {
+    selectedFields.delete(field);
+  }
+  if (apply) {
+    applyFilters();
+    updateUrlState({ push: true });
+  } else {
+    updateFilterChips();
+  }
+}
+
+/**
+ * Check whether a node passes every filter dimension and the search
+ * Within a dimension included chips are OR-ed (fields can be AND-ed); excluded chips always reject;
+ * dimensions and search combine with AND. `ignoreDimension` skips one dimension's includes (for counts).
+ */
+function nodeMatchesFilters(d, ignoreDimension = null) {
+  for (const [dimensionName, dimension] of Object.entries(FILTER_DIMENSIONS)) {
+    const values = dimension.getValues(d);
+    if (values.some(value => dimension.excluded.has(value))) {
+      return false;
+    }
+    if (dimensionName === ignoreDimension || dimension.included.size === 0) {
+      continue;
+    }
+    const included = Array.from(dimension.included);
+    const matches = dimensionName === 'field' && fieldMatchMode === 'all'
+      ? included.every(value => values.includes(value))
+      : included.some(value => values.includes(value));
+    if (!matches) {
+      return false;
+    }
+  }
+  
+  return !searchQuery || nodeMatchesSearch(d, searchQuery);
+}
+
+/**
+ * Apply filters to nodes
+ */
+function applyFilters() {
+  if (!nodeGroups || !linkElements) return;
+  
+  // Add or remove projects first when non-matching ones are hidden
+  updateGraph();
+  
+  // Create a map of node opacity values
+  const nodeOpacityMap = new Map();
+  nodeGroups.each(function(d) {
+    nodeOpacityMap.set(d.id, nodeMatchesFilters(d) ? 1 : 0.15);
+  });
+  
+  // Apply opacity to the entire node group (circle, image, text) so all elements dim together
+  nodeGroups.attr('opacity', d => nodeOpacityMap.get(d.id) || 1);
+  
+  // Apply opacity to edges - dim if either source or target node is dimmed
+  linkElements.attr('stroke-opacity', l => {
+    const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
+    const targetId = typeof l.target === 'object' ? l.target.id : l.target;
+    const sourceOpacity = nodeOpacityMap.get(sourceId) || 1;
+    const targetOpacity = nodeOpacityMap.get(targetId) || 1;
+    // If either node is dimmed, dim the edge
+    return Math.min(sourceOpacity, targetOpacity);
+  });
+  
+  if (seriesLinkElements) {
+    seriesLinkElements.attr('opacity', l => {
+      const sourceOpacity = nodeOpacityMap.get(l.source.id) || 1;
+      const targetOpacity = nodeOpacityMap.get(l.target.id) || 1;
+      return Math.min(sourceOpacity, targetOpacity);
+    });
+  }
+  
+  // Keep the accessible project list in sync with the filters
+  selectAllInMap('#project-list-groups li')
+    .property('hidden', d => !nodeMatchesFilters(d));
+  
+  updateFilterChips();
+  applyPathHighlight();
+  updateMinimap();
+  
+  if (currentView === 'list') {
+    renderListView();
+  }
+  
+  notifyFiltersChanged();
+}
+
+/**
+ * Reset all filters
+ */
+function resetFilters() {
+  Object.values(FILTER_DIMENSIONS).forEach(dimension => {
+    dimension.included.clear();
+    dimension.excluded.clear();
+  });
+  fieldMatchMode = 'any';
+  searchQuery = '';
+  
+  // Reset UI
+  selectInMap('#search-input').property('value', '');
+  
+  // Reapply filters (to show all nodes and refresh chips)
+  applyFilters();
+  updateUrlState({ push: true });
+}
+
+// URL hash parameter of each filter dimension; exclusions use a "not-" prefix
+const FILTER_STATE_PARAMS = {
+  type: 'types',
+  field: 'fields',
+  season: 'seasons'
+};
+
+/**
+ * Serialize filters, search, selected project and zoom into a URL hash
+ * e.g. #types=lab&not-fields=art management&q=ark&project=Ark%20Lab%3A%3ASummer&view=12.5,-40,1.5
+ */
+function serializeState() {
+  const params = new URLSearchParams();
+  Object.entries(FILTER_STATE_PARAMS).forEach(([dimensionName, param]) => {
+    const dimension = FILTER_DIMENSIONS[dimensionName];
+    if (dimension.included.size > 0) params.set(param, Array.from(dimension.included).join(','));
+    if (dimension.excluded.size > 0) params.set(`not-${param}`, Array.from(dimension.excluded).join(','));
+  });
+  if (fieldMatchMode !== 'any') params.set('fieldmode', fieldMatchMode);
+  if (filterDisplayMode !== 'dim') params.set('nonmatching', filterDisplayMode);
+  if (searchQuery) params.set('q', searchQuery);
+  if (clickedNode) params.set('project', clickedNode.id);
+  if (currentView !== 'map') params.set('show', currentView);
+  if (currentYear && currentYear !== Array.from(yearDatasets.keys()).pop()) params.set('year', currentYear);
+  if (comparisonMode) params.set('compare', '1');
+  if (pathEndpoints.length > 0) params.set('path', pathEndpoints.map(d => d.id).join('>'));
+  if (analyticsSettings.colorBy !== 'project') params.set('colorby', analyticsSettings.colorBy);
+  if (analyticsSettings.sizeBy !== 'project') params.set('sizeby', analyticsSettings.sizeBy);
+  if (analyticsSettings.showHulls) params.set('hulls', '1');
+  if (layoutMode !== 'timeline') params.set('layout', layoutMode);
+  
+  if (svg) {
+    const transform = d3.zoomTransform(svg.node());
+    if (transform.k !== 1 || transform.x !== 0 || transform.y !== 0) {
+      params.set('view', [transform.x.toFixed(1), transform.y.toFixed(1), transform.k.toFixed(3)].join(','));
+    }
+  }
+  // Keep list separators readable in shared links
+  return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Parse the URL hash back into a state object; a map mounted into another page starts from the defaults
+ */
+function readStateFromUrl() {
+  const params = new URLSearchParams(mapOptions.standalone ? window.location.hash.slice(1) : '');
+  const splitList = value => (value ? value.split(',').filter(v => v.length > 0) : []);
+  const view = splitList(params.get('view')).map(Number);
+  
+  const filters = {};
+  Object.entries(FILTER_STATE_PARAMS).forEach(([dimensionName, param]) => {
+    filters[dimensionName] = {
+      included: splitList(params.get(param)),
+      excluded: splitList(params.get(`not-${param}`))
+    };
+  });
+  
+  return {
+    filters: filters,
+    fieldMatchMode: params.get('fieldmode') === 'all' ? 'all' : 'any',
+    filterDisplayMode: params.get('nonmatching') === 'hide' ? 'hide' : 'dim',
+    search: params.get('q') || '',
+    projectId: params.get('project'),
+    show: params.get('show') === 'list' ? 'list' : 'map',
+    year: params.get('year'),
+    compare: params.get('compare') === '1',
+    path: (params.get('path') || '').split('>').filter(id => id.length > 0),
+    colorBy: METRIC_LABELS[params.get('colorby')] ? params.get('colorby') : 'project',
+    sizeBy: ['degree', 'betweenness'].includes(params.get('sizeby')) ? params.get('sizeby') : 'project',
+    showHulls: params.get('hulls') === '1',
+    layout: LAYOUT_MODES[params.get('layout')] ? params.get('layout') : 'timeline',
+    view: view.length === 3 && view.every(v => !isNaN(v)) ? view : null
+  };
+}
+
+/**
+ * Write the current state into the URL
+ * Discrete changes push a history entry so back/forward step through them
+ */
+function updateUrlState(options = {}) {
+  if (isRestoringState || !mapOptions.standalone) return;
+  const { push = false } = options;
+  
+  const hash = serializeState();
+  const url = window.location.pathname + window.location.search + (hash ? `#${hash}` : '');
+  const currentUrl = window.location.pathname + window.location.search + window.location.hash;
+  if (url === currentUrl) return;
+  
+  if (push) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
+  }
+}
+
+/**
+ * Apply a state object (from readStateFromUrl) to filters, search, selection and zoom
+ */
+function applyState(state) {
+  isRestoringState = true;
+  
+  // Switch datasets first so the filters and selection apply to the right year
+  if (currentYear) {
+    switchYear(state.year || Array.from(yearDatasets.keys()).pop(), state.compare);
+  }
+  
+  Object.entries(FILTER_DIMENSIONS).forEach(([dimensionName, dimension]) => {
+    const filter = state.filters[dimensionName];
+    dimension.included.clear();
+    dimension.excluded.clear();
+    filter.included.forEach(value => dimension.included.add(value));
+    filter.excluded.forEach(value => dimension.excluded.add(value));
+  });
+  fieldMatchMode = state.fieldMatchMode;
+  filterDisplayMode = state.filterDisplayMode;
+  
+  searchQuery = state.search;
+  selectInMap('#search-input').property('value', searchQuery);
+  
+  if (svg && zoomBehavior) {
+    const transform = state.view
+      ? d3.zoomIdentity.translate(state.view[0], state.view[1]).scale(state.view[2])
+      : d3.zoomIdentity;
+    svg.call(zoomBehavior.transform, transform);
+  }
+  
+  switchView(state.show);
+  
+  setLayoutMode(state.layout);
+  
+  analyticsSettings.colorBy = state.colorBy;
+  analyticsSettings.sizeBy = state.sizeBy;
+  analyticsSettings.showHulls = state.showHulls;
+  selectInMap('#analytics-color-by').property('value', state.colorBy);
+  selectInMap('#analytics-size-by').property('value', state.sizeBy);
+  selectInMap('#analytics-hulls').property('checked', state.showHulls);
+  applyNodeEncoding();
+  
+  pathEndpoints = state.path.map(id => nodes.find(n => n.id === id)).filter(n => n).slice(0, 2);
+  updatePath();
+  
+  // Selecting dims around the project; clearing re-applies the restored filters
+  const node = state.projectId ? nodes.find(n => n.id === state.projectId) : null;
+  if (node) {
+    selectNode(node);
+  } else {
+    clearSelection();
+  }
+  
+  isRestoringState = false;
+}
+
+/**
+ * Copy a deep link to the current view to the clipboard
+ */
+function copyShareLink(button) {
+  updateUrlState();
+  const url = window.location.href;
+  const showCopied = () => {
+    button.textContent = 'link copied';
+    setTimeout(() => {
+      button.textContent = 'copy link';
+    }, 2000);
+  };
+  
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(showCopied).catch(() => {
+      window.prompt('Copy this link:', url);
+    });
+  } else {
+    window.prompt('Copy this link:', url);
+  }
+}
+
+// Styles the exported SVG needs, since style.css does not travel with it
+const EXPORT_SVG_STYLES = `
+  .link { stroke-opacity: 0.6; }
+  .link.highlighted { stroke-opacity: 1; }
+  .series-link { stroke-opacity: 0.35; }
+  .series-link.highlighted { stroke-opacity: 0.8; }
+`;
+
+let exportFontPromise = null;
+
+/**
+ * Read a blob as a data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Load the theme font as a data URL once, so exported files render without the site
+ */
+function getExportFontDataUrl() {
+  if (!activeTheme.font.url) return Promise.resolve(null);
+  if (!exportFontPromise) {
+    exportFontPromise = fetch(activeTheme.font.url)
+      .then(response => {
+        if (!response.ok) throw new Error(`Font request failed: ${response.status}`);
+        return response.blob();
+      })
+      .then(blobToDataUrl)
+      .catch(error => {
+        console.error('Error embedding font for export:', error);
+        exportFontPromise = null;
+        return null;
+      });
+  }
+  return exportFontPromise;
+}
+
+/**
+ * Inline node photos as data URLs; photos whose host blocks cross-origin reads are dropped
+ * (the node keeps its color fill) so the PNG canvas is not tainted
+ */
+async function inlineExportImages(svgNode) {
+  const images = Array.from(svgNode.querySelectorAll('image'));
+  await Promise.all(images.map(async image => {
+    const href = image.getAttribute('href');
+    try {
+      const response = await fetch(href, { mode: 'cors' });
+      if (!response.ok) throw new Error(`Image request failed: ${response.status}`);
+      const dataUrl = await blobToDataUrl(await response.blob());
+      image.setAttribute('href', dataUrl);
+      image.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', dataUrl);
+    } catch (error) {
+      image.remove();
+    }
+  }));
+}
+
+/**
+ * Append a legend of project types and their colors below the map
+ * Returns the height the legend takes
+ */
+function appendExportLegend(svgNode, width, height, textColor) {
+  // Type swatches only make sense while nodes keep their CSV colors
+  const typeColors = new Map();
+  nodes.forEach(node => {
+    if (node.type && !typeColors.has(node.type) && analyticsSettings.colorBy === 'project') {
+      typeColors.set(node.type, node.color);
+    }
+  });
+  
+  // Types first (circles), then typed connections (line samples)
+  const items = Array.from(typeColors)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([type, color]) => ({ label: type, color: color, isRelation: false }));
+  Array.from(new Set(links.filter(l => l.relation).map(l => l.relation))).forEach(relation => {
+    const style = getRelationStyle(relation);
+    items.push({ label: style.label, color: style.color, dash: style.dash, isRelation: true });
+  });
+  
+  const itemWidth = 200;
+  const rowHeight = 24;
+  const perRow = Math.max(1, Math.floor((width - 32) / itemWidth));
+  const legendHeight = Math.ceil(items.length / perRow) * rowHeight + 32;
+  
+  const legend = d3.select(svgNode).append('g')
+    .attr('class', 'export-legend')
+    .attr('transform', `translate(16, ${height + 16})`);
+  
+  items.forEach((legendItem, i) => {
+    const item = legend.append('g')
+      .attr('transform', `translate(${(i % perRow) * itemWidth}, ${Math.floor(i / perRow) * rowHeight})`);
+    if (legendItem.isRelation) {
+      item.append('line')
+        .attr('x1', 0)
+        .attr('y1', 6)
+        .attr('x2', 12)
+        .attr('y2', 6)
+        .attr('stroke', legendItem.color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', legendItem.dash || null);
+    } else {
+      item.append('circle')
+        .attr('cx', 6)
+        .attr('cy', 6)
+        .attr('r', 6)
+        .attr('fill', legendItem.color);
+    }
+    item.append('text')
+      .attr('x', 18)
+      .attr('y', 10)
+      .attr('fill', textColor)
+      .attr('font-size', 12)
+      .text(legendItem.label);
+  });
+  
+  return legendHeight;
+}
+
+/**
+ * Build a standalone copy of the current map view as an SVG string
+ * Keeps zoom and filter dimming; the print-friendly variant is light, shows every label and adds a legend
+ */
+async function buildExportSvg(options = {}) {
+  const { printFriendly = false } = options;
+  const sourceNode = svg.node();
+  const width = +sourceNode.getAttribute('width');
+  const height = +sourceNode.getAttribute('height');
+  const background = printFriendly ? '#FFFFFF' : getThemeColor('background');
+  const labelColor = printFriendly ? '#262123' : getThemeColor('text');
+  
+  const clone = sourceNode.cloneNode(true);
+  clone.removeAttribute('id');
+  clone.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  
+  // Embedded font and the class-based styles
+  const fontDataUrl = await getExportFontDataUrl();
+  const fontFamily = activeTheme.font.family;
+  const fontFace = fontDataUrl
+    ? `@font-face { font-family: '${fontFamily}'; src: url('${fontDataUrl}'); }`
+    : '';
+  const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+  style.textContent = fontFace + EXPORT_SVG_STYLES + `text { font-family: '${fontFamily}', sans-serif; }`;
+  clone.insertBefore(style, clone.firstChild);
+  
+  const backgroundRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  backgroundRect.setAttribute('width', '100%');
+  backgroundRect.setAttribute('height', '100%');
+  backgroundRect.setAttribute('fill', background);
+  clone.insertBefore(backgroundRect, style.nextSibling);
+  
+  // Print labels every project whose label fits without overlapping, whatever its size on screen;
+  // the clone's labels are in the same document order as the map's
+  if (printFriendly) {
+    const placements = computeLabelPlacements(d3.zoomTransform(sourceNode).k, 0);
+    const sourceLabels = sourceNode.querySelectorAll('.node-label');
+    d3.select(clone).selectAll('.node-label')
+      .attr('fill', labelColor)
+      .attr('opacity', null)
+      .each(function(_, i) {
+        applyLabelPlacement(d3.select(this), placements.get(d3.select(sourceLabels[i]).datum()));
+      });
+  }
+  
+  await inlineExportImages(clone);
+  
+  let exportHeight = height;
+  if (printFriendly) {
+    exportHeight += appendExportLegend(clone, width, height, labelColor);
+  }
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', exportHeight);
+  clone.setAttribute('viewBox', `0 0 ${width} ${exportHeight}`);
+  
+  return {
+    markup: new XMLSerializer().serializeToString(clone),
+    width: width,
+    height: exportHeight
+  };
+}
+
+/**
+ * Render SVG markup to a PNG blob at the given pixel ratio
+ */
+function renderSvgToPng(markup, width, height, pixelRatio) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * pixelRatio);
+      canvas.height = Math.round(height * pixelRatio);
+      const context = canvas.getContext('2d');
+      context.scale(pixelRatio, pixelRatio);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('PNG rendering failed'));
+        }
+      }, 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render SVG to image'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Trigger a file download for a blob
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Write the map into a print window opened by exportMap and print it; "Save as PDF" in the print dialog gives a PDF
+ */
+function printExportSvg(exported, printWindow) {
+  const orientation = exported.width >= exported.height ? 'landscape' : 'portrait';
+  printWindow.document.write(`<!DOCTYPE html>
+<html><head><title>HOSQ 2026 Program Map</title>
+<style>
+  @page { size: ${orientation}; margin: 10mm; }
+  html, body { margin: 0; background: #FFFFFF; }
+  svg { width: 100%; height: auto; display: block; }
+</style></head>
+<body>${exported.markup}</body></html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+}
+
+/**
+ * Export the current map view as 'svg', 'png' or 'pdf' (via the print dialog)
+ */
+async function exportMap(format, options = {}) {
+  const { printFriendly = false, pixelRatio = 2 } = options;
+  if (!svg) return;
+  
+  // The print window has to open within the click, before anything is awaited, or popup blockers stop it
+  let printWindow = null;
+  if (format === 'pdf') {
+    printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      console.error('Print window was blocked by the browser');
+      showDataNotice('The browser blocked the print window. Allow pop-ups for this page and try again.');
+      return;
+    }
+  }
+  
+  try {
+    // PDF always uses the print-friendly variant so it reads well on paper
+    const exported = await buildExportSvg({ printFriendly: printFriendly || format === 'pdf' });
+    const filename = `hosq-program-map${printFriendly ? '-print' : ''}`;
+    
+    if (format === 'svg') {
+      downloadBlob(new Blob([exported.markup], { type: 'image/svg+xml;charset=utf-8' }), `${filename}.svg`);
+    } else if (format === 'png') {
+      const png = await renderSvgToPng(exported.markup, exported.width, exported.height, pixelRatio);
+      downloadBlob(png, `${filename}@${pixelRatio}x.png`);
+    } else if (format === 'pdf') {
+      printExportSvg(exported, printWindow);
+    }
+  } catch (error) {
+    console.error('Error exporting map:', error);
+    showDataNotice(`Could not export the map as ${format.toUpperCase()}: ${error.message}`);
+    if (printWindow) printWindow.close();
+  }
+}
+
+// Column order of the downloaded CSV, matching what normalizeData reads
+const CSV_COLUMNS = [
+  'project name', 'type', 'fields', 'schedule', 'color', 'connected projects',
+  'scale', 'description', 'previous event', 'photo link'
+];
+
+// Editor form inputs and the CSV column each one edits
+const EDITOR_FORM_FIELDS = {
+  'editor-name': 'project name',
+  'editor-type': 'type',
+  'editor-fields': 'fields',
+  'editor-schedule': 'schedule',
+  'editor-start-date': 'start date',
+  'editor-end-date': 'end date',
+  'editor-color': 'color',
+  'editor-scale': 'scale',
+  'editor-connected': 'connected projects',
+  'editor-description': 'description',
+  'editor-previous-event': 'previous event',
+  'editor-photo-link': 'photo link',
+  'editor-video': 'video',
+  'editor-links': 'links',
+  'editor-contact': 'contact'
+};
+
+// Editor state: rows as loaded, undo/redo snapshots and the row open in the form
+const editorState = {
+  originalRows: [],
+  undoStack: [],
+  redoStack: [],
+  editingId: null,
+  nextId: 1
+};
+
+let connectionLine = null; // Temporary line while shift-dragging a new connection
+
+/**
+ * Copy rows (and their column list) so history snapshots never share row objects
+ */
+function cloneRows(rows) {
+  const copy = rows.map(row => ({ ...row }));
+  copy.columns = rows.columns;
+  return copy;
+}
+
+/**
+ * Columns of the exported CSV: the canonical order, then any extra source columns
+ */
+function getExportColumns() {
+  const sourceColumns = sourceRows.columns || [];
+  const extra = sourceColumns.filter(column => !CSV_COLUMNS.includes(column));
+  // Columns filled in through the editor or stored positions may be missing from the loaded file
+  [...Object.values(EDITOR_FORM_FIELDS), ...POSITION_COLUMNS].forEach(column => {
+    if (!CSV_COLUMNS.includes(column) && !extra.includes(column) && sourceRows.some(row => row[column])) {
+      extra.push(column);
+    }
+  });
+  return [...CSV_COLUMNS, ...extra];
+}
+
+/**
+ * Give every row a stable editor id so edits, diffs and node positions can follow it
+ */
+function initEditor() {
+  // Every loaded year gets ids up front so switching years keeps them stable
+  const datasets = yearDatasets.size > 0 ? Array.from(yearDatasets.values()) : [{ rows: sourceRows }];
+  datasets.forEach(dataset => {
+    dataset.rows.forEach(row => {
+      row.__editorId = editorState.nextId++;
+    });
+    dataset.originalRows = cloneRows(dataset.rows);
+  });
+  editorState.originalRows = yearDatasets.size > 0
+    ? yearDatasets.get(currentYear).originalRows
+    : datasets[0].originalRows;
+  nodes.filter(node => !node.isGhost).forEach(node => {
+    const row = sourceRows[node.rowNumber - 2];
+    node.editorId = row ? row.__editorId : undefined;
+  });
+  renderEditorChanges();
+}
+
+/**
+ * Start a fresh edit history against another year's rows as loaded
+ */
+function resetEditorHistory(originalRows) {
+  editorState.originalRows = originalRows;
+  editorState.undoStack = [];
+  editorState.redoStack = [];
+  editorState.editingId = null;
+  refreshEditorForm();
+}
+
+/**
+ * Re-run the whole data pipeline on edited rows and redraw, keeping node positions
+ */
+function rebuildFromRows(rows) {
+  const previousNodes = nodes;
+  const selectedNode = clickedNode;
+  
+  sourceRows = rows;
+  const data = buildGraphData(rows);
+  computeGraphMetrics();
+  
+  // Match each node to its previous self (same row, same occurrence, or same project in another year)
+  const byEditorId = new Map(previousNodes.filter(n => n.editorId !== undefined).map(n => [n.editorId, n]));
+  const byId = new Map(previousNodes.map(n => [n.id, n]));
+  const byProjectKey = new Map(previousNodes.map(n => [n.project.key, n]));
+  const findPrevious = node => byEditorId.get(node.editorId) || byId.get(node.id) || byProjectKey.get(node.project.key);
+  data.nodes.forEach(node => {
+    const previous = findPrevious(node);
+    if (previous) {
+      node.x = previous.x;
+      node.y = previous.y;
+      node.vx = previous.vx;
+      node.vy = previous.vy;
+      if (previous.pinned) {
+        node.pinned = true;
+        node.fx = previous.x;
+        node.fy = previous.y;
+      }
+    }
+  });
+  
+  // Timeline buckets may have changed with the schedules
+  const { width, height } = getLayoutSize();
+  scheduleScale = createScheduleScale(width);
+  drawLayoutBackground(width, height);
+  createClipPaths(data.nodes);
+  createRelationMarkers();
+  
+  // Nodes without a previous position start in their column instead of the corner;
+  // positions stored in the rows win over where the node was
+  seedNodePositions(data.nodes, height);
+  applySavedPositions(data.nodes);
+  
+  clickedNode = null;
+  closePopup();
+  closeDetailPanel();
+  pathEndpoints = pathEndpoints.map(endpoint => nodes.find(node => node.id === endpoint.id)).filter(node => node);
+  pathResult = pathEndpoints.length === 2 ? findShortestPaths(pathEndpoints[0], pathEndpoints[1]) : null;
+  renderPathPanel();
+  updateGraph({ rebuild: true });
+  buildFilters();
+  buildAccessibleList();
+  buildDiagnostics();
+  applyFilters();
+  renderYearControls();
+  renderRelationLegend();
+  renderAnalyticsPanel();
   
-  // Use capture phase and handle both click and touch
-  // Use a small delay for touchend to allow popup handlers to run first
-  document.addEventListener('click', handleOutsideClick, true);
-  document.addEventListener('touchend', function(e) {
-    // Small delay to let popup handlers process first
-    setTimeout(() => handleOutsideClick(e), 10);
-  }, true);
+  const reselected = selectedNode
+    ? nodes.find(node => selectedNode.editorId !== undefined && node.editorId === selectedNode.editorId) ||
+      nodes.find(node => node.id === selectedNode.id) ||
+      nodes.find(node => node.project.key === selectedNode.project.key)
+    : null;
+  if (reselected) {
+    selectNode(reselected);
+  }
 }
 
 /**
- * Drag handlers
+ * Apply a change to the rows as one undoable step
  */
-function dragStarted(event, d) {
-  if (!event.active) simulation.alphaTarget(0.3).restart();
-  d.fx = d.x;
-  d.fy = d.y;
+function commitRowsEdit(mutate) {
+  const next = cloneRows(sourceRows);
+  mutate(next);
+  editorState.undoStack.push(sourceRows);
+  editorState.redoStack = [];
+  rebuildFromRows(next);
+  renderEditorChanges();
 }
 
-function dragged(event, d) {
-  d.fx = event.x;
-  d.fy = event.y;
+/**
+ * Step back or forward through the edit history
+ */
+function undoEdit() {
+  if (editorState.undoStack.length === 0) return;
+  editorState.redoStack.push(sourceRows);
+  rebuildFromRows(editorState.undoStack.pop());
+  refreshEditorForm();
+  renderEditorChanges();
 }
 
-function dragEnded(event, d) {
-  if (!event.active) simulation.alphaTarget(0);
-  d.fx = null;
-  d.fy = null;
+function redoEdit() {
+  if (editorState.redoStack.length === 0) return;
+  editorState.undoStack.push(sourceRows);
+  rebuildFromRows(editorState.redoStack.pop());
+  refreshEditorForm();
+  renderEditorChanges();
 }
 
 /**
- * Handle node hover
+ * Find the row with an editor id
  */
-function handleNodeHover(event, d) {
-  // Don't show popup on hover if a node is already clicked (unless it's the same node)
-  if (clickedNode && clickedNode.id !== d.id) {
-    return;
-  }
-  
-  hoveredNode = d;
-  
-  // Get connected neighbor IDs
-  const connectedIds = new Set([d.id]);
-  linkElements.each(function(l) {
-    const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
-    const targetId = typeof l.target === 'object' ? l.target.id : l.target;
-    if (sourceId === d.id) connectedIds.add(targetId);
-    if (targetId === d.id) connectedIds.add(sourceId);
-  });
+function findEditorRow(rows, editorId) {
+  return rows.find(row => row.__editorId === editorId);
+}
+
+/**
+ * Open the editor panel with a project's row in the form
+ */
+function openEditor(node) {
+  editorState.editingId = node ? node.editorId : null;
+  getMapElement('editor-popup').classList.add('active');
+  refreshEditorForm();
+}
+
+/**
+ * Fill the form from the row being edited (or hide it when none is)
+ */
+function refreshEditorForm() {
+  const form = getMapElement('editor-form');
+  const row = editorState.editingId !== null ? findEditorRow(sourceRows, editorState.editingId) : null;
+  form.style.display = row ? 'flex' : 'none';
+  if (!row) return;
   
-  // Create a map of node opacity values
-  const nodeOpacityMap = new Map();
-  nodeGroups.each(function(n) {
-    let opacity = 1;
-    if (n.id === d.id) {
-      opacity = 1;
-    } else if (connectedIds.has(n.id)) {
-      opacity = 1; // Keep connected neighbors fully opaque
-    } else if (n.type === d.type) {
-      opacity = 1;
-    } else {
-      opacity = 0.15; // Stronger opacity reduction for non-matching types
+  const columns = sourceRows.columns || [];
+  Object.entries(EDITOR_FORM_FIELDS).forEach(([inputId, column]) => {
+    const input = getMapElement(inputId);
+    input.value = row[column] || '';
+    input.dataset.loaded = input.value;
+    // Only offer date inputs when the sheet has date columns
+    if (column.endsWith(' date')) {
+      input.closest('label').style.display = columns.includes(column) ? '' : 'none';
     }
-    nodeOpacityMap.set(n.id, opacity);
   });
+  const color = (row.color || '').trim();
+  getMapElement('editor-color-picker').value = HEX_COLOR_PATTERN.test(color) && color.length === 7
+    ? color
+    : DEFAULT_NODE_COLOR;
   
-  // Highlight edges connected to this node
-  linkElements
-    .classed('highlighted', l => {
-      const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
-      const targetId = typeof l.target === 'object' ? l.target.id : l.target;
-      return sourceId === d.id || targetId === d.id;
-    })
-    .attr('stroke-opacity', l => {
-      const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
-      const targetId = typeof l.target === 'object' ? l.target.id : l.target;
-      const isConnected = sourceId === d.id || targetId === d.id;
-      if (isConnected) {
-        return 1; // Fully visible for connected edges
-      }
-      // For non-connected edges, dim if either node is dimmed
-      const sourceOpacity = nodeOpacityMap.get(sourceId) || 1;
-      const targetOpacity = nodeOpacityMap.get(targetId) || 1;
-      return Math.min(sourceOpacity, targetOpacity);
-    });
-  
-  // Reduce opacity of nodes with different type, but keep connected neighbors fully opaque
-  // Apply opacity to the entire node group (circle, image, text)
-  nodeGroups.attr('opacity', n => nodeOpacityMap.get(n.id) || 1);
+  // Suggest existing values while typing
+  const types = Array.from(new Set(sourceRows.map(r => r.type).filter(t => t)));
+  selectInMap('#editor-type-options').selectAll('option')
+    .data(types.sort())
+    .join('option')
+    .attr('value', d => d);
+}
+
+/**
+ * Save the form into the edited row
+ */
+function saveEditorForm() {
+  const editingId = editorState.editingId;
+  if (editingId === null) return;
   
-  // Show popup on hover (only if no node is clicked, or if hovering the clicked node)
-  if (!clickedNode || clickedNode.id === d.id) {
-    showPopup(d);
-  }
+  commitRowsEdit(rows => {
+    const row = findEditorRow(rows, editingId);
+    if (!row) return;
+    const previousName = row['project name'];
+    Object.entries(EDITOR_FORM_FIELDS).forEach(([inputId, column]) => {
+      const input = getMapElement(inputId);
+      // Untouched inputs keep the original cell exactly as it was in the sheet
+      if (input.closest('label').style.display === 'none' || input.value === input.dataset.loaded) return;
+      // Lists are normalized to "a, b, c" so the sheet stays consistent
+      const value = ['fields', 'schedule', 'connected projects'].includes(column)
+        ? parseScheduleValues(input.value).join(', ')
+        : input.value.trim();
+      row[column] = column === 'description' ? input.value : value;
+    });
+    
+    // Renaming a project keeps other projects' connections to it
+    const newName = row['project name'];
+    if (newName !== previousName) {
+      rows.forEach(other => {
+        const connections = parseScheduleValues(other['connected projects']).map(parseConnection);
+        if (connections.some(connection => connection.name === previousName)) {
+          other['connected projects'] = connections
+            .map(connection => formatConnection(connection.name === previousName ? { ...connection, name: newName } : connection))
+            .join(', ');
+        }
+      });
+    }
+  });
 }
 
 /**
- * Handle node mouse out
+ * Add a new project row (or a copy of the edited row, e.g. for another season) and open it
  */
-function handleNodeMouseOut(event, d) {
-  hoveredNode = null;
+function addEditorRow(copyEditedRow) {
+  const template = copyEditedRow && editorState.editingId !== null
+    ? findEditorRow(sourceRows, editorState.editingId)
+    : null;
+  const newRow = template
+    ? { ...template }
+    : {
+      'project name': 'New project',
+      type: '',
+      fields: '',
+      schedule: timeline.buckets[0] || '',
+      color: DEFAULT_NODE_COLOR,
+      'connected projects': '',
+      scale: '3',
+      description: '',
+      'previous event': '',
+      'photo link': ''
+    };
+  newRow.__editorId = editorState.nextId++;
   
-  // If a node is clicked, keep popup visible even on mouseout
-  if (clickedNode && clickedNode.id === d.id) {
-    // Keep popup visible for clicked node, but reset link/node opacity
-    linkElements
-      .classed('highlighted', false)
-      .attr('stroke-opacity', 0.6);
-    applyFilters();
-    return;
-  }
+  commitRowsEdit(rows => {
+    rows.push(newRow);
+  });
+  editorState.editingId = newRow.__editorId;
+  refreshEditorForm();
+}
+
+/**
+ * Delete the edited row
+ */
+function deleteEditorRow() {
+  const editingId = editorState.editingId;
+  if (editingId === null) return;
+  commitRowsEdit(rows => {
+    const index = rows.findIndex(row => row.__editorId === editingId);
+    if (index !== -1) rows.splice(index, 1);
+  });
+  editorState.editingId = null;
+  refreshEditorForm();
+}
+
+/**
+ * Begin a shift-drag connection from a node
+ */
+function startConnectionDrag(d) {
+  connectionLine = g.append('line')
+    .attr('class', 'connection-draft')
+    .attr('x1', d.x)
+    .attr('y1', d.y)
+    .attr('x2', d.x)
+    .attr('y2', d.y)
+    .attr('stroke', getThemeColor('text'))
+    .attr('stroke-width', 1.5)
+    .attr('stroke-dasharray', '4,4')
+    .attr('pointer-events', 'none');
+}
+
+/**
+ * Drop a shift-drag connection: add the target project to the source row's connected projects
+ */
+function finishConnectionDrag(event, d) {
+  connectionLine.remove();
+  connectionLine = null;
   
-  // Reset all links
-  linkElements
-    .classed('highlighted', false)
-    .attr('stroke-opacity', 0.6);
+  const sourceEvent = event.sourceEvent;
+  const point = sourceEvent && sourceEvent.changedTouches ? sourceEvent.changedTouches[0] : sourceEvent;
+  if (!point) return;
+  const element = document.elementFromPoint(point.clientX, point.clientY);
+  const targetGroup = element ? element.closest('.node-group') : null;
+  if (!targetGroup) return;
   
-  // Reset all node opacities (but respect filter state)
-  applyFilters();
+  const target = d3.select(targetGroup).datum();
+  if (!target || target.project === d.project || d.connectedProjects.includes(target.name)) return;
   
-  // Hide popup if not clicked (only hide if no node is clicked)
-  if (!clickedNode) {
-    hidePopup();
-  }
+  commitRowsEdit(rows => {
+    const row = findEditorRow(rows, d.editorId);
+    if (!row) return;
+    const connected = parseScheduleValues(row['connected projects']);
+    connected.push(target.name);
+    row['connected projects'] = connected.join(', ');
+  });
 }
 
 /**
- * Handle node click
+ * Compare the current rows with the rows as loaded
+ * Returns [{ kind: 'added' | 'removed' | 'changed', name, changes: [{ column, before, after }] }]
  */
-function handleNodeClick(event, d) {
-  event.stopPropagation();
-  clickedNode = d;
+function getEditorDiff() {
+  const columns = getExportColumns();
+  const original = new Map(editorState.originalRows.map(row => [row.__editorId, row]));
+  const current = new Map(sourceRows.map(row => [row.__editorId, row]));
+  const diff = [];
   
-  // Get connected neighbor IDs
-  const connectedIds = new Set([d.id]);
-  linkElements.each(function(l) {
-    const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
-    const targetId = typeof l.target === 'object' ? l.target.id : l.target;
-    if (sourceId === d.id) connectedIds.add(targetId);
-    if (targetId === d.id) connectedIds.add(sourceId);
+  sourceRows.forEach(row => {
+    const before = original.get(row.__editorId);
+    if (!before) {
+      diff.push({ kind: 'added', name: row['project name'], changes: [] });
+      return;
+    }
+    const changes = columns
+      .filter(column => (before[column] || '') !== (row[column] || ''))
+      .map(column => ({ column: column, before: before[column] || '', after: row[column] || '' }));
+    if (changes.length > 0) {
+      diff.push({ kind: 'changed', name: row['project name'], changes: changes });
+    }
   });
-  
-  // Create a map of node opacity values
-  const nodeOpacityMap = new Map();
-  nodeGroups.each(function(n) {
-    let opacity = 1;
-    if (n.id === d.id) {
-      opacity = 1;
-    } else if (connectedIds.has(n.id)) {
-      opacity = 1; // Keep connected neighbors fully opaque
-    } else {
-      opacity = 0.15; // Dim all other nodes
+  editorState.originalRows.forEach(row => {
+    if (!current.has(row.__editorId)) {
+      diff.push({ kind: 'removed', name: row['project name'], changes: [] });
     }
-    nodeOpacityMap.set(n.id, opacity);
   });
-  
-  // Highlight edges connected to this node
-  linkElements
-    .classed('highlighted', l => {
-      const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
-      const targetId = typeof l.target === 'object' ? l.target.id : l.target;
-      return sourceId === d.id || targetId === d.id;
-    })
-    .attr('stroke-opacity', l => {
-      const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
-      const targetId = typeof l.target === 'object' ? l.target.id : l.target;
-      const isConnected = sourceId === d.id || targetId === d.id;
-      if (isConnected) {
-        return 1; // Fully visible for connected edges
-      }
-      // For non-connected edges, dim if either node is dimmed
-      const sourceOpacity = nodeOpacityMap.get(sourceId) || 1;
-      const targetOpacity = nodeOpacityMap.get(targetId) || 1;
-      return Math.min(sourceOpacity, targetOpacity);
-    });
-  
-  // Keep clicked node and connected neighbors fully opaque
-  nodeGroups.attr('opacity', n => nodeOpacityMap.get(n.id) || 1);
-  
-  showPopup(d);
+  return diff;
 }
 
 /**
- * Show popup with project information
+ * Shorten long cell values in the diff list
  */
-function showPopup(node) {
-  const popup = document.getElementById('popup');
-  if (!popup) return;
-  
-  let html = '';
-  
-  // Photo (if available) - always show if photo link exists
-  if (node.photoLink && node.photoLink.trim() !== '') {
-    html += `<img src="${node.photoLink}" alt="${node.name}" class="popup-photo" onerror="this.style.display='none'">`;
-  }
-  
-  // Project name
-  html += `<div class="popup-name">${node.name}</div>`;
-  
-  // Type | Schedule (in smaller text, color #4C4646)
-  const scheduleDisplay = node.schedule && node.schedule.length > 0 ? node.schedule[0] : '';
-  const typeScheduleText = scheduleDisplay ? `${node.type} | ${scheduleDisplay}` : node.type;
-  html += `<div class="popup-type">${typeScheduleText}</div>`;
-  
-  // Description - always show if it exists
-  if (node.description && node.description.trim() !== '') {
-    html += `<div class="popup-description">${node.description}</div>`;
-  }
+function truncateDiffValue(value) {
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text.length > 60 ? `${text.slice(0, 60)}…` : (text || '(empty)');
+}
+
+/**
+ * Render the list of changes and the undo/redo button states
+ */
+function renderEditorChanges() {
+  const diff = getEditorDiff();
+  getMapElement('editor-undo').disabled = editorState.undoStack.length === 0;
+  getMapElement('editor-redo').disabled = editorState.redoStack.length === 0;
+  selectInMap('#editor-changes-count').text(diff.length === 0 ? 'no changes' : `${diff.length} changed row(s)`);
   
-  // Fields (as tags)
-  if (node.fields && node.fields.length > 0) {
-    html += `<div class="popup-tags">`;
-    node.fields.forEach(field => {
-      const safeField = escapeHtml(field);
-      const isActiveField = selectedFields.has(field);
-      const activeClass = isActiveField ? ' active' : '';
-      html += `<button type="button" class="popup-tag${activeClass}" data-field="${safeField}">${safeField}</button>`;
+  const list = selectInMap('#editor-changes');
+  list.selectAll('*').remove();
+  diff.forEach(entry => {
+    const item = list.append('li').attr('class', `editor-change ${entry.kind}`);
+    item.append('div')
+      .attr('class', 'editor-change-title')
+      .text(`${entry.kind}: ${entry.name || '(no name)'}`);
+    entry.changes.forEach(change => {
+      item.append('div')
+        .attr('class', 'editor-change-detail')
+        .text(`${change.column}: ${truncateDiffValue(change.before)} → ${truncateDiffValue(change.after)}`);
     });
-    html += `</div>`;
-  }
-  
-  // Previous event button
-  if (node.previousEvent && node.previousEvent.trim() !== '') {
-    html += `<a href="${node.previousEvent}" target="_blank" class="popup-button">${node.name} in 2025</a>`;
-  }
-  
-  popup.innerHTML = html;
-  popup.style.display = 'block';
+  });
+}
+
+/**
+ * Download the edited rows as projects_dataset.csv
+ */
+function downloadEditedCsv() {
+  const csv = d3.csvFormat(sourceRows, getExportColumns());
+  const filename = currentYear ? `projects_dataset_${currentYear}.csv` : 'projects_dataset.csv';
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), filename);
+}
+
+/**
+ * Wire up the editor panel, keyboard shortcuts and the unsaved-changes warning
+ */
+function setupEditor() {
+  initEditor();
   
-  // Store touch timestamp to prevent synthetic clicks from closing popup
-  let lastTouchTime = 0;
+  const editorBtn = getMapElement('editor-btn');
+  const editorPopup = getMapElement('editor-popup');
+  editorBtn.style.display = 'block';
+  editorBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    editorPopup.classList.toggle('active');
+    refreshEditorForm();
+  });
+  getMapElement('close-editor').addEventListener('click', () => {
+    editorPopup.classList.remove('active');
+  });
   
-  // Handle touchstart - just stop propagation and record time
-  const popupTouchStartHandler = (event) => {
-    event.stopPropagation();
-    lastTouchTime = Date.now();
-  };
+  getMapElement('editor-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveEditorForm();
+  });
+  getMapElement('editor-color-picker').addEventListener('input', (e) => {
+    getMapElement('editor-color').value = e.target.value.toUpperCase();
+  });
+  getMapElement('editor-undo').addEventListener('click', undoEdit);
+  getMapElement('editor-redo').addEventListener('click', redoEdit);
+  getMapElement('editor-add').addEventListener('click', () => addEditorRow(false));
+  getMapElement('editor-duplicate').addEventListener('click', () => addEditorRow(true));
+  getMapElement('editor-delete').addEventListener('click', deleteEditorRow);
+  getMapElement('editor-download').addEventListener('click', downloadEditedCsv);
   
-  // Handle touchend - process the action
-  const popupTouchEndHandler = (event) => {
-    event.stopPropagation();
-    lastTouchTime = Date.now();
-    
-    const target = event.target;
-    
-    // Handle popup tag touches
-    if (target.classList.contains('popup-tag')) {
-      event.preventDefault();
-      const fieldValue = target.getAttribute('data-field');
-      if (fieldValue) {
-        toggleFieldFilter(fieldValue);
-        const isActiveNow = selectedFields.has(fieldValue);
-        target.classList.toggle('active', isActiveNow);
-      }
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (outside text inputs);
+  // a mounted map only listens while focus is inside it
+  getKeyboardRoot().addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoEdit();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoEdit();
     }
-    // For popup button, don't prevent default - let link work
-  };
+  });
   
-  // Handle click events on popup
-  const popupClickHandler = (event) => {
-    // On mobile, ignore synthetic clicks that happen shortly after touch
-    const timeSinceTouch = Date.now() - lastTouchTime;
-    if (timeSinceTouch < 500) {
-      if (event.target.classList.contains('popup-tag')) {
-        event.preventDefault();
-      }
-      event.stopPropagation();
-      return;
-    }
-    
-    event.stopPropagation();
-    
-    const target = event.target;
-    
-    // Handle popup tag clicks
-    if (target.classList.contains('popup-tag')) {
-      event.preventDefault();
-      const fieldValue = target.getAttribute('data-field');
-      if (fieldValue) {
-        toggleFieldFilter(fieldValue);
-        const isActiveNow = selectedFields.has(fieldValue);
-        target.classList.toggle('active', isActiveNow);
-      }
+  window.addEventListener('beforeunload', (e) => {
+    if (getEditorDiff().length > 0) {
+      e.preventDefault();
+      e.returnValue = '';
     }
-    // For popup button, let link navigate normally
-  };
-  
-  // Add handlers with capture phase to catch events early
-  popup.addEventListener('touchstart', popupTouchStartHandler, { capture: true, passive: false });
-  popup.addEventListener('touchend', popupTouchEndHandler, { capture: true, passive: false });
-  popup.addEventListener('click', popupClickHandler, { capture: true });
-  popup.addEventListener('mousedown', (e) => e.stopPropagation(), { capture: true });
+  });
+}
+
+// Labels of nodes smaller than this on screen (radius in px) appear only once zoomed in
+const LABEL_MIN_SCREEN_RADIUS = 10;
+// Names are shortened to this many characters when no placement fits the full name
+const LABEL_MAX_CHARS = 14;
+// Label spots around a node, tried in order
+const LABEL_POSITIONS = ['below', 'above', 'right', 'left'];
+
+/**
+ * Label font size in map units; zooming in keeps labels the same size on screen
+ */
+function getLabelFontSize(k) {
+  return (10 * getPhoneViewScale()) / Math.max(k, 1);
+}
+
+/**
+ * Text attributes and bounding box (relative to the node) of a label in one position
+ * Widths are estimated from the character count to avoid measuring text on every pass
+ */
+function getLabelPlacement(text, position, radius, fontSize) {
+  const width = text.length * fontSize * 0.6;
+  const gap = 2;
+  switch (position) {
+    case 'above':
+      return {
+        text: text, x: 0, dy: -radius - fontSize * 0.5, anchor: 'middle',
+        box: { x0: -width / 2, y0: -radius - fontSize * 1.5, x1: width / 2, y1: -radius - gap }
+      };
+    case 'right':
+      return {
+        text: text, x: radius + 4, dy: fontSize * 0.35, anchor: 'start',
+        box: { x0: radius + 4, y0: -fontSize * 0.7, x1: radius + 4 + width, y1: fontSize * 0.5 }
+      };
+    case 'left':
+      return {
+        text: text, x: -radius - 4, dy: fontSize * 0.35, anchor: 'end',
+        box: { x0: -radius - 4 - width, y0: -fontSize * 0.7, x1: -radius - 4, y1: fontSize * 0.5 }
+      };
+    default:
+      return {
+        text: text, x: 0, dy: radius + fontSize * 1.4, anchor: 'middle',
+        box: { x0: -width / 2, y0: radius + gap, x1: width / 2, y1: radius + fontSize * 1.7 }
+      };
+  }
+}
+
+/**
+ * Shorten a name to LABEL_MAX_CHARS with an ellipsis
+ */
+function truncateLabel(name) {
+  return name.length > LABEL_MAX_CHARS ? `${name.slice(0, LABEL_MAX_CHARS - 1).trim()}…` : name;
+}
+
+/**
+ * Place every label where it overlaps neither other labels nor other nodes: bigger nodes
+ * choose first, names are shortened when no spot fits, and labels that still collide or
+ * belong to nodes too small at this zoom are hidden (the full name shows on hover)
+ */
+function placeLabels() {
+  if (!nodeGroups || !svg) return;
+  const k = d3.zoomTransform(svg.node()).k;
+  const placements = computeLabelPlacements(k);
   
-  // Position popup near the node
-  updatePopupPosition(node);
+  nodeGroups.select('text.node-label')
+    .attr('font-size', getLabelFontSize(k))
+    .each(function(d) {
+      d.labelPlacement = placements.get(d) || null;
+      applyLabelPlacement(d3.select(this), d.labelPlacement);
+    });
 }
 
 /**
- * Update popup position based on node location
+ * Find a non-overlapping spot for each label at zoom level k, biggest nodes first
+ * Nodes smaller than minScreenRadius on screen, and labels that fit nowhere, get no placement
  */
-function updatePopupPosition(node) {
-  const popup = document.getElementById('popup');
-  if (!popup || !svg || popup.style.display !== 'block') return;
+function computeLabelPlacements(k, minScreenRadius = LABEL_MIN_SCREEN_RADIUS) {
+  const fontSize = getLabelFontSize(k);
+  const placements = new Map();
+  const visible = nodeGroups.data().filter(d => d.x !== undefined);
+  const radiusOf = new Map(visible.map(d => [d, getNodeRadius(getNodeSize(d))]));
   
-  const transform = d3.zoomTransform(svg.node());
-  const x = node.x * transform.k + transform.x;
-  const y = node.y * transform.k + transform.y;
+  const placedBoxes = [];
+  const boxesOverlap = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+  const boxHitsNode = (box, owner) => visible.some(d => {
+    if (d === owner) return false;
+    const nearestX = Math.max(box.x0, Math.min(d.x, box.x1));
+    const nearestY = Math.max(box.y0, Math.min(d.y, box.y1));
+    return Math.hypot(d.x - nearestX, d.y - nearestY) < radiusOf.get(d);
+  });
+  const fits = (d, placement) => {
+    const box = placement.box;
+    const absolute = { x0: d.x + box.x0, y0: d.y + box.y0, x1: d.x + box.x1, y1: d.y + box.y1 };
+    return !placedBoxes.some(other => boxesOverlap(absolute, other)) && !boxHitsNode(absolute, d)
+      ? absolute
+      : null;
+  };
   
-  // Position popup to the right and slightly below the node (like in example)
-  popup.style.left = (x + 15) + 'px';
-  popup.style.top = (y + 15) + 'px';
+  visible.slice().sort((a, b) => radiusOf.get(b) - radiusOf.get(a)).forEach(d => {
+    const radius = radiusOf.get(d);
+    if (radius * k < minScreenRadius) return;
+    
+    for (const text of Array.from(new Set([d.name, truncateLabel(d.name)]))) {
+      for (const position of LABEL_POSITIONS) {
+        const placement = getLabelPlacement(text, position, radius, fontSize);
+        const absolute = fits(d, placement);
+        if (absolute) {
+          placements.set(d, placement);
+          placedBoxes.push(absolute);
+          return;
+        }
+      }
+    }
+  });
+  return placements;
 }
 
 /**
- * Hide popup
+ * Show a label at its computed placement, or hide it when it has none
  */
-function hidePopup() {
-  const popup = document.getElementById('popup');
-  if (popup) {
-    popup.style.display = 'none';
+function applyLabelPlacement(label, placement) {
+  if (!placement) {
+    label.attr('display', 'none');
+    return;
   }
+  label
+    .attr('display', null)
+    .attr('x', placement.x)
+    .attr('dy', placement.dy)
+    .attr('text-anchor', placement.anchor)
+    .text(placement.text);
 }
 
 /**
- * Build filter UI
+ * Show a node's full name below it while hovered or focused
  */
-function buildFilters() {
-  // Get all unique types and fields
-  const allTypes = new Set();
-  const allFields = new Set();
-  
-  nodes.forEach(node => {
-    if (node.type) allTypes.add(node.type);
-    node.fields.forEach(field => allFields.add(field));
+function showFullLabel(d) {
+  if (!nodeGroups) return;
+  const fontSize = getLabelFontSize(d3.zoomTransform(svg.node()).k);
+  const label = nodeGroups.filter(n => n === d).select('text.node-label');
+  applyLabelPlacement(label, getLabelPlacement(d.name, 'below', getNodeRadius(getNodeSize(d)), fontSize));
+}
+
+/**
+ * Put a node's label back where placeLabels put it
+ */
+function restoreLabel(d) {
+  if (!nodeGroups) return;
+  applyLabelPlacement(nodeGroups.filter(n => n === d).select('text.node-label'), d.labelPlacement);
+}
+
+/**
+ * Resize drawn nodes in place (viewport changes, or sizing by a graph metric)
+ */
+function updateNodeSizes() {
+  if (!nodeGroups) return;
+  nodeGroups.each(function(d) {
+    const radius = getNodeRadius(getNodeSize(d));
+    const group = d3.select(this);
+    group.select('circle.node').attr('r', radius);
+    group.select('circle.comparison-ring').attr('r', radius + 4);
+    group.select('line.duration-bar').attr('stroke-width', radius * 0.6);
+    group.select('image')
+      .attr('x', -radius)
+      .attr('y', -radius)
+      .attr('width', radius * 2)
+      .attr('height', radius * 2);
+    // Update clipPath if it exists
+    if (d.clipId) {
+      const clipPath = svg.select(`#${d.clipId} circle`);
+      if (!clipPath.empty()) {
+        clipPath.attr('r', radius);
+      }
+    }
   });
-  
-  // Build type filters
-  const typeContainer = d3.select('#type-filters');
-  typeContainer.selectAll('*').remove();
-  
-  Array.from(allTypes).sort().forEach(type => {
-    const tag = typeContainer.append('div')
-      .attr('class', 'filter-tag')
-      .text(type)
-      .on('click', function() {
-        const isActive = d3.select(this).classed('active');
-        d3.select(this).classed('active', !isActive);
-        
-        if (isActive) {
-          selectedTypes.delete(type);
-        } else {
-          selectedTypes.add(type);
-        }
-        
-        applyFilters();
-      });
+  placeLabels();
+}
+
+// Messages between the map and the page embedding it carry this source tag
+const WIDGET_MESSAGE_SOURCE = 'hosq-map';
+
+const widgetListeners = new Map(); // Handlers registered through the mounted map's on(), by event name
+let widgetReady = false; // Commands and filter events wait until init has finished
+let lastFilterSummary = null; // Filters of the last filtersChanged event, serialized
+
+/**
+ * Send an event to the host page: handlers registered with on() run, and a page embedding the map
+ * in an iframe receives { source: 'hosq-map', event, ...detail } as a message
+ */
+function emitWidgetEvent(event, detail = {}) {
+  (widgetListeners.get(event) || []).forEach(handler => {
+    try {
+      handler(detail);
+    } catch (error) {
+      console.error(`Error in ${event} handler:`, error);
+    }
   });
-  
-  // Build fields filters
-  const fieldsContainer = d3.select('#fields-filters');
-  fieldsContainer.selectAll('*').remove();
-  fieldFilterElements.clear();
-  
-  Array.from(allFields).sort().forEach(field => {
-    const tag = fieldsContainer.append('div')
-      .attr('class', 'filter-tag')
-      .text(field)
-      .classed('active', selectedFields.has(field))
-      .attr('data-field-filter', field)
-      .on('click', () => toggleFieldFilter(field));
-    
-    fieldFilterElements.set(field, tag);
+  if (window.parent !== window) {
+    window.parent.postMessage({ source: WIDGET_MESSAGE_SOURCE, event: event, ...detail }, getMapOption('origin') || '*');
+  }
+}
+
+/**
+ * What the host page gets to know about a project
+ */
+function getProjectSummary(node) {
+  return {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    seasons: node.schedule,
+    fields: node.fields,
+    year: currentYear
+  };
+}
+
+/**
+ * Current filters in the shape setFilters takes, e.g.
+ * { types: ['lab'], fields: [], seasons: [], excluded: { types: [], fields: ['art management'], seasons: [] }, fieldMode: 'any', search: '' }
+ */
+function getFilterSummary() {
+  const summary = {};
+  const excluded = {};
+  Object.entries(FILTER_STATE_PARAMS).forEach(([dimensionName, param]) => {
+    const dimension = FILTER_DIMENSIONS[dimensionName];
+    summary[param] = Array.from(dimension.included);
+    excluded[param] = Array.from(dimension.excluded);
   });
+  summary.excluded = excluded;
+  summary.fieldMode = fieldMatchMode;
+  summary.search = searchQuery;
+  return summary;
 }
 
 /**
- * Toggle a field filter from either sidebar or popup
+ * Emit filtersChanged when the filters differ from the last time (applyFilters also runs for redraws)
  */
-function toggleFieldFilter(field) {
-  const shouldBecomeActive = !selectedFields.has(field);
-  setFieldFilterState(field, shouldBecomeActive);
+function notifyFiltersChanged() {
+  if (!widgetReady || isRestoringState) return;
+  const summary = getFilterSummary();
+  const serialized = JSON.stringify(summary);
+  if (serialized === lastFilterSummary) return;
+  lastFilterSummary = serialized;
+  emitWidgetEvent('filtersChanged', {
+    filters: summary,
+    matching: nodes.filter(d => !d.isGhost && nodeMatchesFilters(d)).length
+  });
 }
 
 /**
- * Set a field filter to a specific active state
+ * Set the filters given in getFilterSummary's shape; dimensions left out keep their current chips
+ * Unknown values are rejected before anything changes
  */
-function setFieldFilterState(field, shouldBeActive, options = {}) {
-  const { apply = true } = options;
-  const tag = fieldFilterElements.get(field);
-  if (tag) {
-    tag.classed('active', shouldBeActive);
+function setWidgetFilters(filters) {
+  const excluded = filters.excluded || {};
+  const toList = value => (value === undefined || value === null ? [] : [].concat(value).map(String));
+  const changes = [];
+  Object.entries(FILTER_STATE_PARAMS).forEach(([dimensionName, param]) => {
+    if (filters[param] === undefined && excluded[param] === undefined) return;
+    const dimension = FILTER_DIMENSIONS[dimensionName];
+    const included = toList(filters[param]);
+    const excludedValues = toList(excluded[param]);
+    const unknown = included.concat(excludedValues).filter(value => !dimension.elements.has(value));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown ${dimensionName} filter ${unknown.map(value => `"${value}"`).join(', ')}`);
+    }
+    changes.push({ dimension, included, excluded: excludedValues });
+  });
+  if (filters.fieldMode !== undefined && !['any', 'all'].includes(filters.fieldMode)) {
+    throw new Error(`Invalid fieldMode "${filters.fieldMode}"; expected any or all`);
   }
-  if (shouldBeActive) {
-    selectedFields.add(field);
-  } else {
-    selectedFields.delete(field);
+  
+  changes.forEach(change => {
+    change.dimension.included.clear();
+    change.dimension.excluded.clear();
+    change.included.forEach(value => change.dimension.included.add(value));
+    change.excluded.forEach(value => change.dimension.excluded.add(value));
+  });
+  if (filters.fieldMode !== undefined) {
+    fieldMatchMode = filters.fieldMode;
   }
-  if (apply) {
-    applyFilters();
+  if (filters.search !== undefined) {
+    searchQuery = filters.search === null ? '' : String(filters.search);
+    selectInMap('#search-input').property('value', searchQuery);
   }
+  applyFilters();
+  updateUrlState({ push: true });
 }
 
 /**
- * Apply filters to nodes
+ * Find a project by id or name (case-insensitive), in the given season when there is one
  */
-function applyFilters() {
-  if (!nodeGroups || !linkElements) return;
-  
-  // Create a map of node opacity values
-  const nodeOpacityMap = new Map();
-  nodeGroups.each(function(d) {
-    let opacity = 1;
-    // Check type filter
-    if (selectedTypes.size > 0 && !selectedTypes.has(d.type)) {
-      opacity = 0.15;
-    }
-    // Check fields filter
-    else if (selectedFields.size > 0) {
-      const hasMatchingField = d.fields.some(field => selectedFields.has(field));
-      if (!hasMatchingField) {
-        opacity = 0.15;
-      }
+function findWidgetProject(project, season) {
+  const name = String(project || '').trim().toLowerCase();
+  const candidates = nodes.filter(d => !d.isGhost && (d.id === project || d.name.toLowerCase() === name));
+  const node = season
+    ? candidates.find(d => getNodeSeasons(d).includes(season))
+    : candidates[0];
+  if (!node) {
+    throw new Error(`No project "${project}"${season ? ` in ${season}` : ''}`);
+  }
+  if (filterDisplayMode === 'hide' && !nodeMatchesFilters(node)) {
+    throw new Error(`"${node.name}" is hidden by the current filters`);
+  }
+  return node;
+}
+
+// Commands the host page can run, by postMessage ({ source: 'hosq-map', command, ...params }) or on the mounted map
+const WIDGET_COMMANDS = {
+  selectProject: ({ project, season }) => {
+    const node = findWidgetProject(project, season);
+    switchView('map');
+    selectNode(node);
+  },
+  setFilters: filters => setWidgetFilters(filters),
+  setSearch: ({ query }) => setWidgetFilters({ search: query }),
+  zoomToSeason: ({ season }) => {
+    if (!timeline.buckets.includes(season) && season !== timeline.undatedLabel) {
+      throw new Error(`Unknown season "${season}"; expected one of ${timeline.buckets.join(', ')}`);
     }
-    // Check search query
-    else if (searchQuery && !d.name.toLowerCase().includes(searchQuery.toLowerCase())) {
-      opacity = 0.15;
+    const targets = simulation.nodes().filter(d => getNodeSeasons(d).includes(season));
+    if (targets.length === 0) {
+      throw new Error(`No projects shown in ${season}`);
     }
-    nodeOpacityMap.set(d.id, opacity);
-  });
-  
-  // Apply opacity to the entire node group (circle, image, text) so all elements dim together
-  nodeGroups.attr('opacity', d => nodeOpacityMap.get(d.id) || 1);
-  
-  // Apply opacity to edges - dim if either source or target node is dimmed
-  linkElements.attr('stroke-opacity', l => {
-    const sourceId = typeof l.source === 'object' ? l.source.id : l.source;
-    const targetId = typeof l.target === 'object' ? l.target.id : l.target;
-    const sourceOpacity = nodeOpacityMap.get(sourceId) || 1;
-    const targetOpacity = nodeOpacityMap.get(targetId) || 1;
-    // If either node is dimmed, dim the edge
-    return Math.min(sourceOpacity, targetOpacity);
-  });
+    zoomToNodes(targets);
+  },
+  reset: () => {
+    closeDetailPanel();
+    resetFilters();
+    clearSelection();
+    resetZoom();
+  }
+};
+
+/**
+ * Run a host page command; throws on unknown commands and bad parameters
+ */
+function runWidgetCommand(name, params = {}) {
+  const command = WIDGET_COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command "${name}"; expected one of ${Object.keys(WIDGET_COMMANDS).join(', ')}`);
+  }
+  if (!widgetReady) {
+    throw new Error('The map is still loading; wait for its ready event');
+  }
+  command(params);
 }
 
 /**
- * Reset all filters
+ * Run commands posted by the embedding page (only from the `origin` option's origin when it is set);
+ * a command that fails comes back as an error event
  */
-function resetFilters() {
-  selectedTypes.clear();
-  selectedFields.clear();
-  searchQuery = '';
+function handleHostMessage(event) {
+  const message = event.data;
+  if (!message || message.source !== WIDGET_MESSAGE_SOURCE || !message.command) return;
+  const origin = getMapOption('origin');
+  if (event.source !== window.parent || (origin && event.origin !== origin)) return;
   
-  // Reset UI
-  d3.selectAll('.filter-tag').classed('active', false);
-  d3.select('#search-input').property('value', '');
-  
-  // Reapply filters (to show all nodes)
-  applyFilters();
+  try {
+    runWidgetCommand(message.command, message);
+  } catch (error) {
+    console.warn(`Command ${message.command} failed:`, error.message);
+    emitWidgetEvent('error', { command: message.command, message: error.message });
+  }
+}
+
+/**
+ * The object a mounted map resolves to: the host commands as methods, plus on/off for its events
+ * (ready, projectOpened, projectClosed, filtersChanged, error)
+ */
+function createWidgetApi() {
+  return {
+    selectProject: (project, season) => runWidgetCommand('selectProject', { project, season }),
+    setFilters: filters => runWidgetCommand('setFilters', filters),
+    setSearch: query => runWidgetCommand('setSearch', { query }),
+    zoomToSeason: season => runWidgetCommand('zoomToSeason', { season }),
+    reset: () => runWidgetCommand('reset'),
+    getFilters: getFilterSummary,
+    on(event, handler) {
+      if (!widgetListeners.has(event)) widgetListeners.set(event, []);
+      widgetListeners.get(event).push(handler);
+    },
+    off(event, handler) {
+      widgetListeners.set(event, (widgetListeners.get(event) || []).filter(h => h !== handler));
+    }
+  };
 }
 
 /**
@@ -912,99 +5586,28 @@ function resetFilters() {
 function handleResize() {
   if (!svg || !simulation) return;
   
-  const container = d3.select('.content').node();
-  const width = container.clientWidth;
-  const height = container.clientHeight;
+  const width = mapRoot.clientWidth;
+  const height = mapRoot.clientHeight;
   
   svg.attr('width', width).attr('height', height);
   
-  // Update schedule scale and force positions
-  const scheduleScale = createScheduleScale(width);
-  simulation.force('x', d3.forceX(d => getNodeXPosition(d, scheduleScale)).strength(0.5));
-  simulation.force('center', d3.forceCenter(width / 2, height / 2));
-  simulation.force('y', d3.forceY(height / 2).strength(0.1));
-  
-  // Update background columns
-  if (backgroundColumns) {
-    backgroundColumns.selectAll('*').remove();
-    
-    // Divide the full width into 4 equal columns
-    const columnWidth = width / SCHEDULE_ORDER.length;
-    
-    // Create 4 columns with separators and labels
-    SCHEDULE_ORDER.forEach((season, i) => {
-      const x = i * columnWidth;
-      const nextX = (i + 1) * columnWidth;
-      const columnCenterX = x + columnWidth / 2;
-      
-      // Create column rectangle (subtle background, optional)
-      backgroundColumns.append('rect')
-        .attr('x', x)
-        .attr('y', 0)
-        .attr('width', columnWidth)
-        .attr('height', height)
-        .attr('fill', 'none')
-        .attr('stroke', 'none');
-      
-      // Add label at the top center of each column
-      const phoneScale = getPhoneViewScale();
-      backgroundColumns.append('text')
-        .attr('x', columnCenterX)
-        .attr('y', 20)
-        .attr('text-anchor', 'middle')
-        .attr('fill', '#4C4646')
-        .attr('font-size', `${14 * phoneScale}px`)
-        .attr('font-family', 'Lexend-Medium')
-        .attr('pointer-events', 'none')
-        .text(season);
-      
-      // Add vertical separator line (except for the last column)
-      if (i < SCHEDULE_ORDER.length - 1) {
-        backgroundColumns.append('line')
-          .attr('x1', nextX)
-          .attr('y1', 0)
-          .attr('x2', nextX)
-          .attr('y2', height)
-          .attr('stroke', '#4C4646')
-          .attr('stroke-width', 1 * phoneScale)
-          .attr('stroke-opacity', 0.3)
-          .attr('pointer-events', 'none');
-      }
-    });
-  }
-  
   // Update node radii if viewport size changed (e.g., phone rotation)
-  if (nodeGroups) {
-    const phoneScale = getPhoneViewScale();
-    nodeGroups.each(function(d) {
-      const radius = getNodeRadius(d.scale);
-      const group = d3.select(this);
-      group.select('circle').attr('r', radius);
-      group.select('image')
-        .attr('x', -radius)
-        .attr('y', -radius)
-        .attr('width', radius * 2)
-        .attr('height', radius * 2);
-      group.select('text.node-label')
-        .attr('dy', radius + 14 * phoneScale)
-        .attr('font-size', 10 * phoneScale);
-      // Update clipPath if it exists
-      if (d.clipId) {
-        const clipPath = svg.select(`#${d.clipId} circle`);
-        if (!clipPath.empty()) {
-          clipPath.attr('r', radius);
-        }
-      }
-    });
-  }
+  updateNodeSizes();
   
-  simulation.alpha(0.3).restart();
+  // Update scales, background and forces for the new size
+  updateLayout();
 }
 
 /**
  * Initialize the application
  */
 async function init() {
+  // Theme and embed mode come first so the map is sized and colored for them
+  await loadTheme();
+  if (isEmbedMode()) {
+    setupEmbedMode();
+  }
+  
   // Load data
   const data = await loadData();
   
@@ -1014,24 +5617,38 @@ async function init() {
   }
   
   // Initialize visualization
+  computeGraphMetrics();
   initVisualization(data);
   
   // Build filters
   buildFilters();
   
+  // Build the screen-reader project list
+  buildAccessibleList();
+  
+  // Skip to the list without following the link, whose fragment would replace the map state in the hash
+  const skipLink = mapOptions.standalone ? document.querySelector('.skip-link') : null;
+  if (skipLink) {
+    skipLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      getMapElement('project-list').focus();
+    });
+  }
+  
   // Set up event listeners
-  document.getElementById('search-input').addEventListener('input', (e) => {
+  getMapElement('search-input').addEventListener('input', (e) => {
     searchQuery = e.target.value;
     applyFilters();
+    updateUrlState();
   });
   
-  document.getElementById('reset-filters').addEventListener('click', resetFilters);
+  getMapElement('reset-filters').addEventListener('click', resetFilters);
   
   // Filters popup toggle
-  const filtersBtn = document.getElementById('filters-btn');
-  const filtersPopup = document.getElementById('filters-popup');
-  const filtersBackdrop = document.getElementById('filters-backdrop');
-  const closeFiltersBtn = document.getElementById('close-filters');
+  const filtersBtn = getMapElement('filters-btn');
+  const filtersPopup = getMapElement('filters-popup');
+  const filtersBackdrop = getMapElement('filters-backdrop');
+  const closeFiltersBtn = getMapElement('close-filters');
   
   function openFiltersPopup() {
     filtersPopup.classList.add('active');
@@ -1068,10 +5685,11 @@ async function init() {
   });
   
   // Fullscreen toggle
-  const fullscreenBtn = document.getElementById('fullscreen-btn');
+  const fullscreenBtn = getMapElement('fullscreen-btn');
   fullscreenBtn.addEventListener('click', () => {
     if (!document.fullscreenElement) {
-      document.documentElement.requestFullscreen().catch(err => {
+      const fullscreenTarget = mapOptions.standalone ? document.documentElement : mapRoot;
+      fullscreenTarget.requestFullscreen().catch(err => {
         console.error('Error attempting to enable fullscreen:', err);
       });
       fullscreenBtn.textContent = 'exit full screen';
@@ -1088,19 +5706,563 @@ async function init() {
     }
   });
   
+  // Escape closes the popup and any open panel, returning focus to the project
+  getKeyboardRoot().addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    // The detail panel closes on its own, back to the popup it came from
+    if (detailNode) {
+      closeDetailPanel();
+      return;
+    }
+    closeFiltersPopup();
+    getMapElement('export-menu').classList.remove('active');
+    getMapElement('diagnostics-popup').classList.remove('active');
+    getMapElement('analytics-popup').classList.remove('active');
+    if (!clickedNode) clearPath();
+    
+    if (clickedNode) {
+      // Focus first: the node's focus handler opens its popup, which clearSelection then closes
+      const node = clickedNode;
+      focusNode(node);
+      clearSelection();
+    } else {
+      closePopup();
+    }
+  });
+  
+  // Data diagnostics and project editor (editor mode only)
+  if (isEditorMode()) {
+    setupEditor();
+    
+    const diagnosticsBtn = getMapElement('diagnostics-btn');
+    const diagnosticsPopup = getMapElement('diagnostics-popup');
+    diagnosticsBtn.style.display = 'block';
+    buildDiagnostics();
+    
+    diagnosticsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      diagnosticsPopup.classList.toggle('active');
+    });
+    getMapElement('close-diagnostics').addEventListener('click', () => {
+      diagnosticsPopup.classList.remove('active');
+    });
+  }
+  
+  // Graph analysis panel
+  const analyticsBtn = getMapElement('analytics-btn');
+  const analyticsPopup = getMapElement('analytics-popup');
+  renderAnalyticsPanel();
+  analyticsBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    analyticsPopup.classList.toggle('active');
+  });
+  getMapElement('close-analytics').addEventListener('click', () => {
+    analyticsPopup.classList.remove('active');
+  });
+  getMapElement('analytics-color-by').addEventListener('change', (e) => {
+    analyticsSettings.colorBy = e.target.value;
+    applyNodeEncoding();
+    updateUrlState({ push: true });
+  });
+  getMapElement('analytics-size-by').addEventListener('change', (e) => {
+    analyticsSettings.sizeBy = e.target.value;
+    applyNodeEncoding();
+    updateUrlState({ push: true });
+  });
+  getMapElement('analytics-hulls').addEventListener('change', (e) => {
+    analyticsSettings.showHulls = e.target.checked;
+    updateHulls();
+    updateUrlState({ push: true });
+  });
+  
+  // Close the path explorer
+  getMapElement('close-path').addEventListener('click', clearPath);
+  
+  // Dismiss the data source notice
+  getMapElement('close-data-notice').addEventListener('click', () => {
+    getMapElement('data-notice').classList.remove('active');
+  });
+  
+  // Year switcher and comparison with the previous year
+  renderYearControls();
+  renderRelationLegend();
+  getMapElement('year-select').addEventListener('change', (e) => {
+    switchYear(e.target.value, comparisonMode);
+    updateUrlState({ push: true });
+  });
+  getMapElement('compare-btn').addEventListener('click', () => {
+    switchYear(currentYear, !comparisonMode);
+    updateUrlState({ push: true });
+  });
+  
+  // Layout mode
+  const layoutSelect = getMapElement('layout-select');
+  Object.entries(LAYOUT_MODES).forEach(([mode, { label }]) => {
+    layoutSelect.append(new Option(label, mode));
+  });
+  layoutSelect.value = layoutMode;
+  layoutSelect.addEventListener('change', (e) => {
+    setLayoutMode(e.target.value);
+    updateUrlState({ push: true });
+  });
+  
+  // Map/list view switch
+  getMapElement('view-toggle-btn').addEventListener('click', () => {
+    switchView(currentView === 'list' ? 'map' : 'list');
+    updateUrlState({ push: true });
+  });
+  getMapElement('list-group-by').addEventListener('change', renderListView);
+  getMapElement('list-sort-by').addEventListener('change', renderListView);
+  
+  // Export menu
+  const exportBtn = getMapElement('export-btn');
+  const exportMenu = getMapElement('export-menu');
+  exportBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    exportMenu.classList.toggle('active');
+  });
+  exportMenu.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-export-format]');
+    if (!action) return;
+    exportMap(action.getAttribute('data-export-format'), {
+      printFriendly: getMapElement('export-print-friendly').checked,
+      pixelRatio: parseFloat(getMapElement('export-scale').value) || 2
+    });
+    exportMenu.classList.remove('active');
+  });
+  
+  // Close export menu when clicking outside
+  document.addEventListener('click', (e) => {
+    if (exportMenu.classList.contains('active') &&
+        !exportMenu.contains(e.target) &&
+        e.target !== exportBtn) {
+      exportMenu.classList.remove('active');
+    }
+  });
+  
+  // Copy link to the current view
+  const copyLinkBtn = getMapElement('copy-link-btn');
+  copyLinkBtn.addEventListener('click', () => copyShareLink(copyLinkBtn));
+  
+  // Positions menu: pin mode, saved layouts and (editor mode) x/y columns
+  const positionsBtn = getMapElement('positions-btn');
+  const positionsMenu = getMapElement('positions-menu');
+  const layoutFileInput = getMapElement('layout-file-input');
+  positionsBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    positionsMenu.classList.toggle('active');
+  });
+  getMapElement('pin-mode').addEventListener('change', (e) => {
+    pinMode = e.target.checked;
+  });
+  positionsMenu.addEventListener('click', (e) => {
+    const action = e.target.closest('[data-positions-action]');
+    if (!action) return;
+    const actions = {
+      save: downloadLayout,
+      load: () => layoutFileInput.click(),
+      unpin: unpinAllNodes,
+      store: storePositionsInRows
+    };
+    actions[action.getAttribute('data-positions-action')]();
+    positionsMenu.classList.remove('active');
+  });
+  layoutFileInput.addEventListener('change', () => {
+    const file = layoutFileInput.files[0];
+    if (file) loadLayoutFile(file);
+    layoutFileInput.value = '';
+  });
+  mapRoot.querySelectorAll('.positions-editor-only').forEach(element => {
+    element.style.display = isEditorMode() ? '' : 'none';
+  });
+  document.addEventListener('click', (e) => {
+    if (positionsMenu.classList.contains('active') &&
+        !positionsMenu.contains(e.target) &&
+        e.target !== positionsBtn) {
+      positionsMenu.classList.remove('active');
+    }
+  });
+  
+  // Popup card and project detail panel
+  initPopup();
+  getMapElement('close-detail').addEventListener('click', closeDetailPanel);
+  getMapElement('detail-backdrop').addEventListener('click', closeDetailPanel);
+  getMapElement('detail-content').addEventListener('click', (e) => {
+    const chip = e.target.closest('.detail-chip');
+    if (!chip) return;
+    const chipNode = nodes.find(n => n.id === chip.getAttribute('data-node-id'));
+    if (chipNode) showConnectedProject(chipNode);
+  });
+  
+  // Zoom controls and minimap
+  initMinimap();
+  getMapElement('zoom-in').addEventListener('click', () => zoomBy(ZOOM_STEP));
+  getMapElement('zoom-out').addEventListener('click', () => zoomBy(1 / ZOOM_STEP));
+  getMapElement('zoom-reset').addEventListener('click', resetZoom);
+  getMapElement('zoom-fit').addEventListener('click', fitAll);
+  getMapElement('zoom-selection').addEventListener('click', zoomToSelection);
+  
+  // Restore shared state from the URL, and again when stepping through history
+  applyState(readStateFromUrl());
+  // Settle the layout before the first frame instead of animating from the seeded positions
+  precomputeLayout();
+  if (mapOptions.standalone) {
+    window.addEventListener('popstate', () => applyState(readStateFromUrl()));
+  }
+  
   // Handle window resize
   window.addEventListener('resize', handleResize);
   
-  // Update popup position on zoom/pan
-  if (svg) {
-    svg.on('zoom', () => {
-      if (clickedNode) {
-        updatePopupPosition(clickedNode);
-      }
-    });
+  // Commands from an embedding page, then tell it the map is ready for them
+  window.addEventListener('message', handleHostMessage);
+  widgetReady = true;
+  lastFilterSummary = JSON.stringify(getFilterSummary());
+  emitWidgetEvent('ready', { filters: getFilterSummary(), seasons: timeline.buckets, year: currentYear });
+}
+
+// Markup of the map: buttons, panels and dialogs, put into the container by mountMap
+const MAP_TEMPLATE = `
+<!-- Filters, View Switch, Layout, Analysis, Data Diagnostics and Editor (editor mode) Buttons, Year Switcher -->
+<div class="top-actions top-actions-left">
+  <button id="filters-btn" class="top-btn">filters</button>
+  <button id="view-toggle-btn" class="top-btn" aria-pressed="false">list view</button>
+  <select id="layout-select" class="top-btn top-select" aria-label="Layout"></select>
+  <button id="analytics-btn" class="top-btn">analysis</button>
+  <button id="diagnostics-btn" class="top-btn">data issues</button>
+  <button id="editor-btn" class="top-btn">edit data</button>
+  <select id="year-select" class="top-btn top-select" aria-label="Program year"></select>
+  <button id="compare-btn" class="top-btn" aria-pressed="false">compare years</button>
+</div>
+
+<!-- Positions, Export, Share and Fullscreen Buttons -->
+<div class="top-actions">
+  <button id="positions-btn" class="top-btn">positions</button>
+  <button id="export-btn" class="top-btn">export</button>
+  <button id="copy-link-btn" class="top-btn">copy link</button>
+  <button id="fullscreen-btn" class="top-btn">full screen</button>
+
+  <!-- Export Menu -->
+  <div id="export-menu" class="export-menu">
+    <label class="export-option">
+      <input type="checkbox" id="export-print-friendly">
+      print-friendly (all labels, legend)
+    </label>
+    <label class="export-option">
+      PNG resolution
+      <select id="export-scale">
+        <option value="1">1×</option>
+        <option value="2" selected>2×</option>
+        <option value="3">3×</option>
+        <option value="4">4×</option>
+      </select>
+    </label>
+    <div class="export-actions">
+      <button type="button" class="export-action" data-export-format="png">PNG</button>
+      <button type="button" class="export-action" data-export-format="svg">SVG</button>
+      <button type="button" class="export-action" data-export-format="pdf">print / PDF</button>
+    </div>
+  </div>
+
+  <!-- Positions Menu -->
+  <div id="positions-menu" class="export-menu positions-menu">
+    <label class="export-option">
+      <input type="checkbox" id="pin-mode">
+      keep dragged projects in place (double-click to release)
+    </label>
+    <div class="export-actions">
+      <button type="button" class="export-action" data-positions-action="save">save layout</button>
+      <button type="button" class="export-action" data-positions-action="load">load layout</button>
+    </div>
+    <div class="export-actions">
+      <button type="button" class="export-action" data-positions-action="unpin">release all</button>
+      <button type="button" class="export-action positions-editor-only" data-positions-action="store">store in x/y columns</button>
+    </div>
+    <input type="file" id="layout-file-input" accept=".json,application/json" hidden>
+  </div>
+</div>
+
+<!-- Data Source Notice -->
+<div id="data-notice" class="data-notice" role="status">
+  <span class="data-notice-message"></span>
+  <button id="close-data-notice" class="close-filters-btn">&times;</button>
+</div>
+
+<!-- Path Explorer -->
+<section id="path-panel" class="path-panel" aria-label="Path between projects" aria-live="polite">
+  <div class="path-panel-header">
+    <h2>Path</h2>
+    <button id="close-path" class="close-filters-btn" aria-label="Close path">&times;</button>
+  </div>
+  <div id="path-content"></div>
+</section>
+
+<!-- Connection Types Legend -->
+<div id="relation-legend" class="relation-legend"></div>
+
+<!-- Year Comparison Legend -->
+<div id="comparison-legend" class="comparison-legend" aria-live="polite"></div>
+
+<!-- Zoom Controls and Minimap -->
+<div id="map-navigator" class="map-navigator">
+  <svg id="minimap" class="minimap" aria-hidden="true"></svg>
+  <div class="zoom-controls" role="group" aria-label="Zoom">
+    <button type="button" id="zoom-in" class="zoom-btn" aria-label="Zoom in">+</button>
+    <button type="button" id="zoom-out" class="zoom-btn" aria-label="Zoom out">&minus;</button>
+    <button type="button" id="zoom-reset" class="zoom-btn" aria-label="Reset zoom">1:1</button>
+  </div>
+  <div class="zoom-controls" role="group" aria-label="Frame projects">
+    <button type="button" id="zoom-fit" class="zoom-btn">fit all</button>
+    <button type="button" id="zoom-selection" class="zoom-btn" title="Frame the open project and its connections, or the filter results">selection</button>
+  </div>
+</div>
+
+<svg id="visualization" role="group" aria-label="Program map: projects arranged by season. Use Tab to move between projects, arrow keys to follow connections and Enter to open one."></svg>
+<!-- List View -->
+<section id="list-view" class="list-view" aria-label="Project list view">
+  <div class="list-view-controls">
+    <label>
+      group by
+      <select id="list-group-by">
+        <option value="season">season</option>
+        <option value="type">type</option>
+        <option value="field">field</option>
+      </select>
+    </label>
+    <label>
+      sort by
+      <select id="list-sort-by">
+        <option value="name">name</option>
+        <option value="season">season</option>
+        <option value="type">type</option>
+        <option value="scale">size</option>
+      </select>
+    </label>
+    <span id="list-count" class="list-count"></span>
+  </div>
+  <div id="list-groups"></div>
+</section>
+
+<!-- Pop-up Card -->
+<div id="popup" class="popup" role="dialog" aria-modal="false" aria-labelledby="popup-title" tabindex="-1"></div>
+
+<!-- Project List (screen-reader alternative to the map, follows the filters) -->
+<nav id="project-list" class="visually-hidden" aria-label="Project list" tabindex="-1">
+  <h2>Projects</h2>
+  <div id="project-list-groups"></div>
+</nav>
+
+<!-- Filters Popup Backdrop -->
+<div id="filters-backdrop" class="filters-backdrop"></div>
+
+<!-- Filters Popup -->
+<div id="filters-popup" class="filters-popup">
+  <div class="filters-popup-header">
+    <h2>Filters</h2>
+    <button id="close-filters" class="close-filters-btn">&times;</button>
+  </div>
+
+  <div class="filters-popup-content">
+    <!-- Type Filter -->
+    <div class="filter-group">
+      <h3>Type</h3>
+      <div class="filter-options" id="type-filters"></div>
+    </div>
+
+    <!-- Fields Filter -->
+    <div class="filter-group">
+      <div class="filter-group-header">
+        <h3>Fields</h3>
+        <div class="filter-mode-toggle" id="field-mode-toggle" role="group" aria-label="Match fields">
+          <button type="button" data-mode="any">any</button>
+          <button type="button" data-mode="all">all</button>
+        </div>
+      </div>
+      <div class="filter-options" id="fields-filters"></div>
+    </div>
+
+    <!-- Season Filter -->
+    <div class="filter-group">
+      <h3>Season</h3>
+      <div class="filter-options" id="season-filters"></div>
+    </div>
+
+    <!-- Search Filter -->
+    <div class="filter-group">
+      <h3>Search</h3>
+      <input type="text" id="search-input" placeholder="Search name, description, fields...">
+    </div>
+
+    <!-- Non-matching Projects -->
+    <div class="filter-group">
+      <div class="filter-group-header">
+        <h3>Non-matching</h3>
+        <div class="filter-mode-toggle" id="filter-display-toggle" role="group" aria-label="Non-matching projects">
+          <button type="button" data-mode="dim">dim</button>
+          <button type="button" data-mode="hide">hide</button>
+        </div>
+      </div>
+    </div>
+
+    <p class="filter-hint">Click a tag to include it, again to exclude it, and once more to clear it.</p>
+
+    <!-- Reset Button -->
+    <button id="reset-filters" class="reset-btn">Reset filters</button>
+  </div>
+</div>
+
+<!-- Project Detail Panel -->
+<div id="detail-backdrop" class="filters-backdrop detail-backdrop"></div>
+<section id="detail-panel" class="detail-panel" role="dialog" aria-modal="true" aria-labelledby="detail-title" tabindex="-1">
+  <button type="button" id="close-detail" class="close-filters-btn detail-close" aria-label="Close details">&times;</button>
+  <div id="detail-content"></div>
+</section>
+
+<!-- Graph Analysis Popup -->
+<div id="analytics-popup" class="filters-popup analytics-popup">
+  <div class="filters-popup-header">
+    <h2>Analysis</h2>
+    <button id="close-analytics" class="close-filters-btn">&times;</button>
+  </div>
+
+  <div class="filters-popup-content">
+    <div class="analytics-controls">
+      <label>
+        color by
+        <select id="analytics-color-by">
+          <option value="project">project color</option>
+          <option value="cluster">cluster</option>
+          <option value="component">component</option>
+          <option value="degree">connections</option>
+          <option value="betweenness">betweenness</option>
+        </select>
+      </label>
+      <label>
+        size by
+        <select id="analytics-size-by">
+          <option value="project">project scale</option>
+          <option value="degree">connections</option>
+          <option value="betweenness">betweenness</option>
+        </select>
+      </label>
+      <label class="analytics-toggle">
+        <input type="checkbox" id="analytics-hulls">
+        outline clusters
+      </label>
+    </div>
+    <div id="analytics-content"></div>
+  </div>
+</div>
+
+<!-- Data Diagnostics Popup (editor mode) -->
+<div id="diagnostics-popup" class="filters-popup diagnostics-popup">
+  <div class="filters-popup-header">
+    <h2>Data issues</h2>
+    <button id="close-diagnostics" class="close-filters-btn">&times;</button>
+  </div>
+
+  <div class="filters-popup-content">
+    <ul id="diagnostics-list" class="diagnostics-list"></ul>
+  </div>
+</div>
+
+<!-- Project Editor Popup (editor mode) -->
+<div id="editor-popup" class="filters-popup editor-popup">
+  <div class="filters-popup-header">
+    <h2>Edit data</h2>
+    <button id="close-editor" class="close-filters-btn">&times;</button>
+  </div>
+
+  <div class="filters-popup-content">
+    <div class="editor-toolbar">
+      <button type="button" id="editor-undo" class="editor-btn">undo</button>
+      <button type="button" id="editor-redo" class="editor-btn">redo</button>
+      <button type="button" id="editor-add" class="editor-btn">new project</button>
+      <button type="button" id="editor-download" class="editor-btn">download CSV</button>
+    </div>
+    <p class="filter-hint">Click a project and choose edit, or shift-drag from one project to another to connect them.</p>
+
+    <!-- Edit Form -->
+    <form id="editor-form" class="editor-form">
+      <label>project name <input type="text" id="editor-name" required></label>
+      <label>type <input type="text" id="editor-type" list="editor-type-options"></label>
+      <datalist id="editor-type-options"></datalist>
+      <label>fields (comma separated) <input type="text" id="editor-fields"></label>
+      <label>schedule (comma separated) <input type="text" id="editor-schedule"></label>
+      <label>start date <input type="text" id="editor-start-date" placeholder="YYYY-MM-DD"></label>
+      <label>end date <input type="text" id="editor-end-date" placeholder="YYYY-MM-DD"></label>
+      <label>color
+        <span class="editor-color">
+          <input type="color" id="editor-color-picker" aria-label="Pick color">
+          <input type="text" id="editor-color">
+        </span>
+      </label>
+      <label>size (any positive number; the program uses 1–10) <input type="number" id="editor-scale" min="0" step="any"></label>
+      <label>connected projects (comma separated, e.g. Ark Festival&gt;feeds) <input type="text" id="editor-connected"></label>
+      <label>description (blank line for a new paragraph, **bold**, [label](link)) <textarea id="editor-description" rows="4"></textarea></label>
+      <label>previous event link <input type="text" id="editor-previous-event"></label>
+      <label>photo links (one per line, the first one shows on the map) <textarea id="editor-photo-link" rows="2"></textarea></label>
+      <label>videos (one per line; YouTube and Vimeo links play inline) <textarea id="editor-video" rows="2"></textarea></label>
+      <label>links (one per line, e.g. Registration, open call | https://…) <textarea id="editor-links" rows="2"></textarea></label>
+      <label>contact <textarea id="editor-contact" rows="2"></textarea></label>
+      <div class="editor-form-actions">
+        <button type="submit" class="editor-btn primary">apply</button>
+        <button type="button" id="editor-duplicate" class="editor-btn">add another season</button>
+        <button type="button" id="editor-delete" class="editor-btn danger">delete</button>
+      </div>
+    </form>
+
+    <!-- Changes Against the Loaded Data -->
+    <h3>Changes <span id="editor-changes-count" class="list-count"></span></h3>
+    <ul id="editor-changes" class="editor-changes"></ul>
+  </div>
+</div>
+`;
+
+let mountPromise = null;
+// Rejection reason of a mount whose data did not load (init has already logged why)
+const MAP_NO_DATA_MESSAGE = 'The map could not load its data';
+
+/**
+ * Mount the map into a container element (or selector) and start it. The page needs d3 and style.css
+ * (whose page-wide rules only apply to index.html's .hosq-page) and holds one map at a time.
+ * Options take the names of index.html's query parameters (data, years, links, timeline, buckets, theme,
+ * editor, embed, controls, origin); `standalone: true` reads those from the query string instead and keeps
+ * the map's state in the URL, as index.html does.
+ * Resolves to the map's API (see createWidgetApi) once the data is loaded, and rejects when there is none
+ */
+function mountMap(container, options = {}) {
+  if (mapRoot) {
+    console.warn('The map is already mounted; a page holds one map');
+    return mountPromise;
+  }
+  const element = typeof container === 'string' ? document.querySelector(container) : container;
+  if (!element) {
+    return Promise.reject(new Error(`No element to mount the map into: ${container}`));
   }
+  
+  mapRoot = element;
+  mapOptions = { ...options };
+  mapIdPrefix = `hosq-${Math.random().toString(36).slice(2, 8)}`;
+  mapRoot.classList.add('hosq-map');
+  mapRoot.innerHTML = MAP_TEMPLATE;
+  mountPromise = init().then(() => {
+    if (!widgetReady) throw new Error(MAP_NO_DATA_MESSAGE);
+    return createWidgetApi();
+  });
+  return mountPromise;
 }
 
-// Start the application
-init();
+// Entry point for other pages: HOSQMap.mount('#festival-map', { data: 'https://…/program.csv', embed: true })
+window.HOSQMap = { mount: mountMap };
+
+// index.html marks its own container and runs as the whole page
+const pageMapContainer = document.querySelector('[data-hosq-map]');
+if (pageMapContainer) {
+  // init has already reported missing data; anything else is a bug worth seeing
+  mountMap(pageMapContainer, { standalone: true }).catch(error => {
+    if (error.message !== MAP_NO_DATA_MESSAGE) {
+      console.error('Map failed to start:', error);
+    }
+  });
+}
 